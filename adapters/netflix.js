@@ -0,0 +1,97 @@
+/**
+ * Site Adapter - Netflix
+ * Browse rows and gallery grids (home, genre pages, My List, search)
+ */
+
+(() => {
+    'use strict';
+
+    // ============================================
+    // SELECTORS
+    // ============================================
+
+    // Container selectors: browse rows and gallery grids
+    const CONTAINER_SELECTORS = [
+        'div.lolomoRow',
+        'div.gallery',
+        'div.galleryLockups',
+        'div.search-gallery'
+    ].join(', ');
+
+    const CARD_SELECTOR = 'div.title-card-container';
+
+    // Title extraction fallback strategies
+    const TITLE_STRATEGIES = [
+        { selector: 'a[aria-label]', attr: 'aria-label' },
+        { selector: 'img.boxart-image', attr: 'alt' },
+        { selector: '.fallback-text', attr: 'textContent' }
+    ];
+
+    // ============================================
+    // HELPERS & EXTRACTION
+    // ============================================
+
+    // /watch/80100172?tctx=... and /title/80100172 both identify the same title
+    const cleanHref = (href) => {
+        if (!href) return null;
+        const match = href.match(/\/(?:watch|title)\/(\d+)/);
+        if (match) return `/title/${match[1]}`;
+        return null;
+    };
+
+    const isDetailUrl = (url) => /\/title\/\d+/.test(url);
+
+    const extractHref = (card) => {
+        const link = card.querySelector('a[href*="/watch/"], a[href*="/title/"]');
+        return link ? cleanHref(link.getAttribute('href')) : null;
+    };
+
+    const extractInfo = (card) => {
+        let title = null;
+        for (const { selector, attr } of TITLE_STRATEGIES) {
+            const el = card.querySelector(selector);
+            if (!el) continue;
+            const candidate = attr === 'textContent' ? el.textContent?.trim() : el.getAttribute(attr);
+            if (candidate) {
+                title = candidate.trim();
+                break;
+            }
+        }
+
+        // Netflix cards carry neither year nor movie/series type
+        return { title, href: extractHref(card), entityType: null, verificationRating: null, year: null };
+    };
+
+    // ============================================
+    // ADAPTER
+    // ============================================
+
+    globalThis.ShowRatingAdapter = {
+        id: 'netflix',
+
+        containerSelector: CONTAINER_SELECTORS,
+        getCardSelector: () => CARD_SELECTOR,
+
+        extractInfo,
+        extractHref,
+        cleanHref,
+        isDetailUrl,
+
+        skipBadge: () => false,
+
+        findBadgeTarget: (card) => card.querySelector('.boxart-container') || card.querySelector('.title-card') || card,
+
+        insertBadge: (target, badgeContainer) => target.appendChild(badgeContainer),
+
+        // Rows wrap each card in a slider item; galleries don't
+        getFilterTarget: (card) => card.closest('.slider-item') || card,
+
+        // Row heading for the popup's page stats; galleries have none
+        getRowTitle: (container) => container.querySelector('.row-header-title')?.textContent.trim() || null,
+
+        // Rows are virtualized sliders that Netflix re-renders on scroll; not reordered
+        getSortableList: () => null,
+
+        episodes: null
+    };
+})();
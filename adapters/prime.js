@@ -0,0 +1,236 @@
+/**
+ * Site Adapter - Amazon Prime Video
+ * All Prime-specific page knowledge used by content-script.js
+ */
+
+(() => {
+    'use strict';
+
+    // ============================================
+    // SELECTORS (Narrowed — matching Sift's approach)
+    // ============================================
+
+    // Container selectors: the large sections that hold program cards
+    const CONTAINER_SELECTORS = [
+        'section[data-testid="standard-carousel"]',
+        'section[data-testid="super-carousel"]',
+        'section[data-testid="charts-container"]',
+        'section[data-testid="collection-carousel"]',
+        'div[data-testid="grid-container"]',
+        'div[data-testid="navigation-bar-content-cards-below"]',
+        '[data-testid="top-hero"]',
+        '[data-testid="intermission-hero"]',
+        '[data-testid="atf-component"]'
+    ].join(', ');
+
+    // Title extraction fallback strategies (hoisted to avoid re-allocation)
+    const TITLE_STRATEGIES = [
+        { selector: '[data-testid="title-art"]', attr: 'aria-label' },
+        { selector: '[data-testid="image-link"]', attr: 'aria-label' },
+        { selector: 'a[aria-label]', attr: 'aria-label' },
+        { selector: 'h2[aria-label]', attr: 'aria-label' },
+        { selector: 'button[aria-label]', attr: 'aria-label' },
+        { selector: 'h1', attr: 'textContent' },
+        { selector: '[data-automation-id="title"]', attr: 'textContent' },
+        { selector: '[data-testid="card-title"]', attr: 'textContent' },
+        { selector: 'img[alt]', attr: 'alt' },
+        { selector: '[class*="Title"]', attr: 'textContent' }
+    ];
+
+    const EXCLUDED_FROM_FILTER = '[data-testid="top-hero-card"], [data-testid="single-item-carousel"], [data-testid="intermission-hero-card"], [data-testid="atf-component"]';
+
+    // ============================================
+    // HELPERS & EXTRACTION
+    // ============================================
+
+    const cleanTitle = (text) => {
+        if (!text) return '';
+        return text
+            .replace(/^Watch\s+/i, '')
+            .replace(/\s*\(\d{4}\)\s*$/, '')
+            .replace(/\s*-?\s*Prime Video\s*$/i, '')
+            .replace(/\s*(?:-|:)?\s*Season\s+\d+.*/i, '')
+            .replace(/\s*(?:-|:)?\s*S\d{1,2}$/i, '')
+            .trim();
+    };
+
+    const cleanHref = (href) => {
+        if (!href) return null;
+        const patterns = [
+            /\/detail\/[A-Za-z0-9]+/,
+            /\/gp\/video\/detail\/[A-Za-z0-9]+/,
+            /\/dp\/[A-Za-z0-9]+/
+        ];
+        for (const pattern of patterns) {
+            const match = href.match(pattern);
+            if (match) return match[0];
+        }
+        return href.split('?')[0].split('/ref=')[0];
+    };
+
+    const isDetailUrl = (url) => url.includes('/detail/') || url.includes('/gp/video/detail/') || url.includes('/dp/');
+
+    // Href only — used when re-deriving a card's key without a full extractInfo
+    const extractHref = (card) => {
+        let href = null;
+        const actionLink = card.querySelector('[data-testid="details-cta"]');
+        if (actionLink) href = actionLink.getAttribute('href');
+        if (!href) {
+            if (card.tagName === 'A') {
+                href = card.getAttribute('href');
+            } else {
+                const link = card.querySelector('a[href*="/detail/"], a[href*="title"]');
+                if (link) href = link.getAttribute('href');
+            }
+        }
+        return href ? cleanHref(href) : null;
+    };
+
+    const extractInfo = (card, pageUrl) => {
+        let title = null;
+
+        // 1. Fast path: aria-label on packshot button (most reliable)
+        const packshotBtn = card.querySelector('[data-testid="packshot"] button[aria-label]');
+        if (packshotBtn) {
+            title = packshotBtn.getAttribute('aria-label');
+        }
+        // 2. Super carousel: aria-label on poster link
+        else if (card.matches('[data-testid="super-carousel-card"]')) {
+            const link = card.querySelector('a.shared-poster-link');
+            if (link) title = link.getAttribute('aria-label');
+        }
+        // 3. Top hero card
+        else if (card.matches('[data-testid="top-hero-card"]')) {
+            const titleNode = card.querySelector('h1, h2, [data-testid="carousel-title"]');
+            if (titleNode) title = titleNode.textContent;
+        }
+        // 4. Full fallback: prioritized strategy list
+        if (!title) {
+            for (const { selector, attr } of TITLE_STRATEGIES) {
+                const el = card.querySelector(selector);
+                if (!el) continue;
+                const candidate = attr === 'textContent' ? el.textContent?.trim() : el.getAttribute(attr);
+                if (candidate && !candidate.startsWith('Title number')) {
+                    title = candidate;
+                    break;
+                }
+            }
+        }
+
+        title = cleanTitle(title);
+
+        // Href extraction
+        const isDetailPage = isDetailUrl(pageUrl);
+        const nativeBadge = card.querySelector('[data-automation-id="imdb-rating-badge"]');
+        const href = (isDetailPage && nativeBadge) ? cleanHref(pageUrl) : extractHref(card);
+
+        // Entity type
+        const entityType = card.dataset.cardEntityType || null;
+
+        // Verification data (detail pages only)
+        let verificationRating = null;
+        let year = null;
+        if (isDetailPage && nativeBadge) {
+            const match = nativeBadge.textContent.match(/(\d+(?:\.\d+)?)/);
+            if (match) verificationRating = match[1];
+
+            const yearBadge = card.querySelector('[data-automation-id="release-year-badge"]');
+            if (yearBadge) {
+                const yearText = yearBadge.textContent.trim();
+                if (/^\d{4}$/.test(yearText)) {
+                    year = yearText;
+                } else {
+                    const aria = yearBadge.getAttribute('aria-label');
+                    if (aria) {
+                        const ym = aria.match(/(\d{4})/);
+                        if (ym) year = ym[1];
+                    }
+                }
+            }
+        }
+
+        return { title, href, entityType, verificationRating, year };
+    };
+
+    // ============================================
+    // ADAPTER
+    // ============================================
+
+    globalThis.ShowRatingAdapter = {
+        id: 'prime',
+
+        containerSelector: CONTAINER_SELECTORS,
+
+        // Program selectors: the individual cards inside containers
+        getCardSelector: (container) => {
+            const testId = container.getAttribute('data-testid');
+            if (testId === 'super-carousel') return 'article[data-testid="super-carousel-card"]';
+            if (testId === 'top-hero') return '[data-testid="top-hero-card"]';
+            if (testId === 'intermission-hero') return '[data-testid="intermission-hero-card"]';
+            if (testId === 'atf-component') return '[data-testid="product-details-hero"], [data-testid="detail-hero"]';
+            // Broad match: any card article (with or without data-card-title)
+            return 'article[data-testid="card"]';
+        },
+
+        extractInfo,
+        extractHref,
+        cleanHref,
+        isDetailUrl,
+
+        // Detail Page Hero already shows Prime's own IMDb badge
+        skipBadge: (card) => card.getAttribute('data-testid') === 'atf-component',
+
+        findBadgeTarget: (card) => {
+            let target;
+            const testId = card.getAttribute('data-testid');
+
+            if (testId === 'top-hero-card' || testId === 'single-item-carousel' || testId === 'intermission-hero-card') {
+                target = card.querySelector('[data-testid="title-metadata-main"]');
+            }
+
+            if (!target) {
+                target = card.querySelector('[data-testid="packshot"]') || card;
+            }
+
+            if (target.tagName === 'IMG') target = target.parentElement;
+            return target;
+        },
+
+        // Hero metadata flows top-down — badges go above the title there
+        insertBadge: (target, badgeContainer) => {
+            if (target.getAttribute('data-testid') === 'title-metadata-main') {
+                target.prepend(badgeContainer);
+            } else {
+                target.appendChild(badgeContainer);
+            }
+        },
+
+        // Element that gets hidden/ghosted by the filter, or null if the card is never filtered
+        getFilterTarget: (card) => {
+            if (card.matches(EXCLUDED_FROM_FILTER)) return null;
+            return card.closest('li');
+        },
+
+        // Carousel heading for the popup's page stats; grids and heroes have none
+        getRowTitle: (container) => container.querySelector('h2')?.textContent.trim() || null,
+
+        // Only regular rows and category grids are reordered — heroes and charts keep Prime's order
+        getSortableList: (container) => {
+            const testId = container.getAttribute('data-testid');
+            if (testId !== 'standard-carousel' && testId !== 'grid-container') return null;
+            return container.querySelector('ul');
+        },
+
+        // Episode list rows on series detail pages (badged separately from cards)
+        episodes: {
+            rowSelector: [
+                'li[data-testid="episode-list-item"]',
+                'li[id^="av-ep-episode-"]',
+                'li[data-automation-id^="ep-"]'
+            ].join(', '),
+            titleSelector: '[data-testid="episode-title"], [data-automation-id^="ep-title"], h3',
+            targetSelector: '[data-testid="episode-packshot"], [data-automation-id^="ep-packshot"], [data-testid="packshot"]',
+            seasonSelector: '[data-testid="dp-season-selector"], [data-automation-id="season-selector"], select[name="season"]'
+        }
+    };
+})();
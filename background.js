@@ -1,13 +1,16 @@
 /**
  * Background Service Worker
- * Routes API calls through Cloudflare Worker proxy
+ * Routes API calls through Cloudflare Worker proxy, backed by a persistent local ratings cache
  */
 
 // ============================================
 // PROXY CONFIGURATION
 // ============================================
 
-const WORKER_URL = 'https://imdb-ratings-proxy.markymn-dev.workers.dev';
+// Default backend - self-hosters override it from the options page (stored as `workerUrl`)
+const DEFAULT_WORKER_URL = 'https://imdb-ratings-proxy.markymn-dev.workers.dev';
+
+let workerUrl = null;
 
 // Debug mode - disable for production
 const DEBUG = false;
@@ -25,6 +28,220 @@ const logError = (...args) => {
     console.error('[Background ERROR]', ...args);
 };
 
+/**
+ * Resolve the configured Worker URL (cached until storage changes)
+ */
+async function getWorkerUrl() {
+    if (!workerUrl) {
+        const result = await chrome.storage.local.get('workerUrl');
+        workerUrl = normalizeWorkerUrl(result.workerUrl) || DEFAULT_WORKER_URL;
+    }
+    return workerUrl;
+}
+
+function normalizeWorkerUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+    return url.trim().replace(/\/+$/, '') || null;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.workerUrl) {
+        workerUrl = null;
+        log('Worker URL changed:', changes.workerUrl.newValue || DEFAULT_WORKER_URL);
+        // Cached ratings came from the old backend
+        clearRatingsCache();
+    }
+});
+
+// ============================================
+// LOCAL RATINGS CACHE
+// ============================================
+
+// IndexedDB rather than chrome.storage.local: every storage.local write reaches each tab's onChanged listener
+const CACHE_DB_NAME = 'ratingsCache';
+const CACHE_STORE = 'ratings';
+const LEGACY_CACHE_KEY = 'ratingsCache';          // Older builds kept the whole cache in one storage.local item
+const CACHE_MAX_ENTRIES = 3000;
+const CACHE_MAX_AGE = 90 * 24 * 60 * 60 * 1000;   // 90 days - evicted outright after this
+const CACHE_PERSIST_DELAY = 1000;                 // ms to debounce storage writes
+
+// Mirrors the Worker's isDataStale TTL tiers
+const TTL = {
+    RECENT: 60 * 60 * 1000,           // 1 hour
+    MEDIUM: 24 * 60 * 60 * 1000,      // 1 day
+    STABLE: 30 * 24 * 60 * 60 * 1000  // 30 days
+};
+
+let ratingsCache = null;        // Map<"site:href", { data, cachedAt, stale }> in least-recently-used order
+let cacheLoadPromise = null;
+let cacheDbPromise = null;
+let persistTimeout = null;
+const dirtyKeys = new Set();    // Keys stored or evicted since the last persist
+
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        cacheDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CACHE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return cacheDbPromise;
+}
+
+/**
+ * Run `work(store)` in one transaction; resolves with the result of the request it returns, if any
+ */
+function cacheTransaction(mode, work) {
+    return openCacheDb().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(CACHE_STORE, mode);
+        const request = work(transaction.objectStore(CACHE_STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * Load the cache from IndexedDB once per service worker lifetime
+ */
+function loadRatingsCache() {
+    if (!cacheLoadPromise) {
+        chrome.storage.local.remove(LEGACY_CACHE_KEY).catch(() => {});
+
+        cacheLoadPromise = cacheTransaction('readonly', store => store.getAll()).then((stored) => {
+            const now = Date.now();
+            // Recency of use isn't persisted - fetch time is close enough for eviction order
+            ratingsCache = new Map(
+                stored
+                    .filter(entry => entry.key.includes(':') && now - entry.cachedAt < CACHE_MAX_AGE)
+                    .sort((a, b) => a.cachedAt - b.cachedAt)
+                    .map(({ key, data, cachedAt, stale }) => [key, { data, cachedAt, stale: Boolean(stale) }])
+            );
+            log(`Loaded ${ratingsCache.size} cached ratings.`);
+        }).catch((error) => {
+            logError('Failed to load ratings cache:', error);
+            ratingsCache = new Map();
+        });
+    }
+    return cacheLoadPromise;
+}
+
+/**
+ * Empty the cache (in memory and on disk); lookups wait until it's done
+ */
+function clearRatingsCache() {
+    clearTimeout(persistTimeout);
+    persistTimeout = null;
+    dirtyKeys.clear();
+    cacheLoadPromise = cacheTransaction('readwrite', store => store.clear())
+        .catch(error => logError('Failed to clear ratings cache:', error))
+        .then(() => {
+            ratingsCache = new Map();
+            log('Ratings cache cleared.');
+        });
+}
+
+/**
+ * Site-qualified key, matching the Worker's cache key ("prime:/detail/B0ABC", "netflix:/title/801")
+ */
+function cacheKey(movie) {
+    return `${movie.site || 'prime'}:${movie.href}`;
+}
+
+function getCachedRating(key) {
+    const entry = ratingsCache.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.cachedAt >= CACHE_MAX_AGE) {
+        ratingsCache.delete(key);
+        dirtyKeys.add(key);
+        schedulePersist();
+        return null;
+    }
+    // Move to the most-recently-used end
+    ratingsCache.delete(key);
+    ratingsCache.set(key, entry);
+    return entry;
+}
+
+function dropCachedRating(key) {
+    if (!ratingsCache.delete(key)) return;
+    dirtyKeys.add(key);
+    schedulePersist();
+}
+
+function storeResults(results, keyByHref) {
+    let stored = 0;
+    results.forEach(item => {
+        const key = keyByHref.get(item.href);
+        if (!key || !item.data) return;
+        ratingsCache.delete(key);
+        // A Worker answer of cache-stale (low quota, failed refresh) stays due for revalidation
+        ratingsCache.set(key, { data: item.data, cachedAt: Date.now(), stale: item.source === 'cache-stale' });
+        dirtyKeys.add(key);
+        stored++;
+    });
+    if (stored === 0) return;
+
+    // Evict least-recently-used entries over the size limit
+    while (ratingsCache.size > CACHE_MAX_ENTRIES) {
+        const oldest = ratingsCache.keys().next().value;
+        ratingsCache.delete(oldest);
+        dirtyKeys.add(oldest);
+    }
+    schedulePersist();
+}
+
+/**
+ * Write only the entries that changed since the last persist
+ */
+function schedulePersist() {
+    if (persistTimeout) clearTimeout(persistTimeout);
+    persistTimeout = setTimeout(() => {
+        persistTimeout = null;
+        const keys = Array.from(dirtyKeys);
+        dirtyKeys.clear();
+        cacheTransaction('readwrite', (store) => {
+            keys.forEach((key) => {
+                const entry = ratingsCache.get(key);
+                if (entry) store.put({ key, ...entry });
+                else store.delete(key);
+            });
+        }).catch(error => logError('Failed to persist ratings cache:', error));
+    }, CACHE_PERSIST_DELAY);
+}
+
+/**
+ * Same tiers as the Worker, measured like the Worker from the row's updated_at
+ * (cachedAt only for entries that lack one)
+ */
+function isEntryStale(entry) {
+    if (entry.stale) return true;
+    const releaseDateStr = entry.data.release_date;
+    if (!releaseDateStr) return true;
+    const now = Date.now();
+    const release = new Date(releaseDateStr).getTime();
+    if (isNaN(release)) return true;
+    const updatedAt = entry.data.updated_at ? new Date(entry.data.updated_at).getTime() : NaN;
+    const lastUpdate = isNaN(updatedAt) ? entry.cachedAt : updatedAt;
+    const daysSinceRelease = (now - release) / (1000 * 60 * 60 * 24);
+    const timeSinceUpdate = now - lastUpdate;
+    if (daysSinceRelease <= 7) return timeSinceUpdate > TTL.RECENT;
+    if (daysSinceRelease <= 14) return timeSinceUpdate > TTL.MEDIUM;
+    return timeSinceUpdate > TTL.STABLE;
+}
+
+function hasRatingChanged(previous, next) {
+    return previous.rating !== next.rating ||
+        previous.rt_rating !== next.rt_rating ||
+        previous.metacritic !== next.metacritic ||
+        previous.votes !== next.votes ||
+        previous.genre !== next.genre ||
+        previous.confidence !== next.confidence ||
+        previous.imdb_id !== next.imdb_id;
+}
+
 // ============================================
 // MESSAGE HANDLING
 // ============================================
@@ -34,7 +251,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     switch (message.type) {
         case 'BATCH_LOOKUP':
-            handleBatchLookup(message, sendResponse);
+            handleBatchLookup(message, sender, sendResponse);
+            return true;
+
+        case 'EPISODE_LOOKUP':
+            handleEpisodeLookup(message, sendResponse);
+            return true;
+
+        case 'HEALTH_CHECK':
+            handleHealthCheck(message, sendResponse);
             return true;
 
         default:
@@ -43,7 +268,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 });
 
-async function handleBatchLookup(message, sendResponse) {
+/**
+ * Serve what we can from the local cache straight away, fetch misses from the Worker,
+ * and revalidate stale entries in the background (stale-while-revalidate).
+ */
+async function handleBatchLookup(message, sender, sendResponse) {
     try {
         const { movies } = message;
 
@@ -51,14 +280,267 @@ async function handleBatchLookup(message, sendResponse) {
             throw new Error('Invalid movies payload');
         }
 
-        log(`Sending batch of ${movies.length} movies to Worker...`);
+        await loadRatingsCache();
+
+        const keyByHref = new Map(movies.filter(m => m.href).map(m => [m.href, cacheKey(m)]));
+        const cachedResults = [];
+        const staleMovies = [];
+        const missingMovies = [];
 
-        const response = await fetch(`${WORKER_URL}/batch`, {
+        movies.forEach(movie => {
+            // A removed override: the cached entry is the pinned match, so forget it and ask again
+            if (movie.clearOverride && movie.href) dropCachedRating(keyByHref.get(movie.href));
+
+            const entry = movie.href ? getCachedRating(keyByHref.get(movie.href)) : null;
+            // A new match override invalidates whatever we had for this href
+            if (!entry || (movie.overrideImdbId && entry.data.imdb_id !== movie.overrideImdbId)) {
+                missingMovies.push(movie);
+                return;
+            }
+            cachedResults.push({ href: movie.href, data: entry.data, source: 'local-cache' });
+            // Detail pages carry a verificationRating - always let the Worker re-check those
+            if (isEntryStale(entry) || movie.verificationRating) staleMovies.push(movie);
+        });
+
+        log(`Batch of ${movies.length}: ${cachedResults.length} cached (${staleMovies.length} stale), ${missingMovies.length} missing.`);
+
+        if (missingMovies.length === 0) {
+            sendResponse({ success: true, results: cachedResults });
+        } else {
+            // Paint cached badges now, answer the request once the misses are in
+            if (cachedResults.length > 0) pushResults(sender, cachedResults);
+
+            const results = await lookupMovies(missingMovies, keyByHref);
+            storeResults(results, keyByHref);
+            sendResponse({ success: true, results });
+        }
+
+        if (staleMovies.length > 0) revalidateStale(staleMovies, keyByHref, sender);
+
+    } catch (error) {
+        logError('Batch lookup failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Fetch movies from the Worker, joining batches already in flight for the same title
+ * (several Prime tabs, or a tab re-requesting while the first batch is still retrying)
+ */
+async function lookupMovies(movies, keyByHref) {
+    const own = [];
+    const shared = [];
+    movies.forEach(movie => {
+        const key = keyByHref.get(movie.href);
+        const pending = key && !movie.overrideImdbId && !movie.clearOverride ? inflightLookups.get(key) : null;
+        if (pending) shared.push(pending);
+        else own.push(movie);
+    });
+
+    let ownBatch = Promise.resolve([]);
+    if (own.length > 0) {
+        ownBatch = fetchBatch(own);
+        own.forEach(movie => {
+            const key = keyByHref.get(movie.href);
+            if (!key || movie.overrideImdbId || movie.clearOverride) return;
+            const result = ownBatch.then(results =>
+                results.find(item => item.href === movie.href) || { href: movie.href, error: 'Missing from Worker response' }
+            );
+            inflightLookups.set(key, result);
+            result.catch(() => {}).finally(() => {
+                if (inflightLookups.get(key) === result) inflightLookups.delete(key);
+            });
+        });
+    }
+
+    if (shared.length > 0) log(`Joined ${shared.length} lookups already in flight.`);
+    const [ownResults, sharedResults] = await Promise.all([ownBatch, Promise.all(shared)]);
+    return [...ownResults, ...sharedResults];
+}
+
+async function fetchBatch(movies) {
+    log(`Sending batch of ${movies.length} movies to Worker...`);
+
+    const data = await postToWorker('/batch', { movies });
+
+    if (!data || !data.results) {
+        logError('Worker returned invalid JSON/missing results:', data);
+        throw new Error('Worker returned invalid response data');
+    }
+
+    log(`Worker returned ${data.results.length} results.`);
+    if (data.quota) recordQuota(data.quota);
+    return data.results;
+}
+
+/**
+ * Keep the Worker's latest OMDb quota status where the popup can read it
+ */
+function recordQuota(quota) {
+    chrome.storage.local.set({ omdbQuota: quota })
+        .catch(error => logError('Failed to store quota status:', error));
+}
+
+async function revalidateStale(movies, keyByHref, sender) {
+    try {
+        const results = await lookupMovies(movies, keyByHref);
+        const changed = results.filter(item => {
+            if (!item.data) return false;
+            const previous = ratingsCache.get(keyByHref.get(item.href));
+            return !previous || hasRatingChanged(previous.data, item.data);
+        });
+        storeResults(results, keyByHref);
+
+        if (changed.length > 0) {
+            log(`Revalidation changed ${changed.length} ratings.`);
+            pushResults(sender, changed);
+        }
+    } catch (error) {
+        logError('Revalidation failed:', error);
+    }
+}
+
+/**
+ * Deliver results to the requesting frame outside of the sendResponse callback
+ */
+function pushResults(sender, results) {
+    if (!sender.tab || sender.tab.id === undefined) return;
+    chrome.tabs.sendMessage(sender.tab.id, { type: 'RATINGS_UPDATED', results }, { frameId: sender.frameId }, () => {
+        // Tab may have navigated away or closed
+        void chrome.runtime.lastError;
+    });
+}
+
+async function handleEpisodeLookup(message, sendResponse) {
+    try {
+        const { seriesImdbId, season } = message;
+
+        if (!seriesImdbId || !season) {
+            throw new Error('Invalid episode payload');
+        }
+
+        log(`Requesting episodes for ${seriesImdbId} season ${season}...`);
+
+        const data = await postToWorker('/episodes', { seriesImdbId, season });
+
+        if (!data || !Array.isArray(data.episodes)) {
+            logError('Worker returned invalid JSON/missing episodes:', data);
+            throw new Error('Worker returned invalid response data');
+        }
+
+        log(`Worker returned ${data.episodes.length} episodes.`);
+        if (data.quota) recordQuota(data.quota);
+        sendResponse({ success: true, episodes: data.episodes });
+
+    } catch (error) {
+        logError('Episode lookup failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Query the health route of the given (or configured) Worker
+ */
+async function handleHealthCheck(message, sendResponse) {
+    try {
+        const baseUrl = normalizeWorkerUrl(message.workerUrl) || await getWorkerUrl();
+
+        log(`Checking Worker health at ${baseUrl}...`);
+
+        // A host that never answers would otherwise leave the options page on "Testing..."
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+        let health;
+        try {
+            const response = await fetch(`${baseUrl}/health`, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Worker Error ${response.status}: ${response.statusText}`);
+            }
+            health = await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+
+        sendResponse({ success: true, health });
+
+    } catch (error) {
+        logError('Health check failed:', error);
+        const message = error.name === 'AbortError' ? `Timed out after ${REQUEST_TIMEOUT / 1000}s` : error.message;
+        sendResponse({ success: false, error: message });
+    }
+}
+
+// ============================================
+// REQUEST QUEUE
+// ============================================
+
+const REQUEST_TIMEOUT = 15000;          // ms per Worker attempt
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY = 1000;          // 1s, 2s, 4s ... each jittered down by up to half
+const RETRY_MAX_DELAY = 15000;
+const MAX_CONCURRENT_REQUESTS = 4;
+const OFFLINE_WAIT_MAX = 60000;         // Give up after a minute offline - content scripts retry later
+
+const requestQueue = [];
+let activeRequests = 0;
+
+// "site:href" -> Promise of that movie's result while a Worker batch containing it is in flight
+const inflightLookups = new Map();
+
+function enqueueRequest(task) {
+    return new Promise((resolve, reject) => {
+        requestQueue.push({ task, resolve, reject });
+        drainRequestQueue();
+    });
+}
+
+function drainRequestQueue() {
+    while (activeRequests < MAX_CONCURRENT_REQUESTS && requestQueue.length > 0) {
+        const { task, resolve, reject } = requestQueue.shift();
+        activeRequests++;
+        task().then(resolve, reject).finally(() => {
+            activeRequests--;
+            drainRequestQueue();
+        });
+    }
+}
+
+/**
+ * POST a JSON payload to the Worker through the queue: timeout per attempt,
+ * exponential backoff with jitter on network errors and 5xx, paused while offline
+ */
+function postToWorker(path, payload) {
+    return enqueueRequest(async () => {
+        for (let attempt = 1; ; attempt++) {
+            await waitUntilOnline();
+            try {
+                return await sendToWorker(path, payload);
+            } catch (error) {
+                if (!error.retryable || attempt >= MAX_ATTEMPTS) throw error;
+                const delay = retryDelay(attempt);
+                log(`${path} failed (${error.message}), retry ${attempt}/${MAX_ATTEMPTS - 1} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    });
+}
+
+/**
+ * Single attempt; thrown errors carry `retryable`
+ */
+async function sendToWorker(path, payload) {
+    const baseUrl = await getWorkerUrl();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    try {
+        const response = await fetch(`${baseUrl}${path}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ movies })
+            body: JSON.stringify(payload),
+            signal: controller.signal
         });
 
         if (!response.ok) {
@@ -68,28 +550,65 @@ async function handleBatchLookup(message, sendResponse) {
             } catch (e) {
                 errorDetail = response.statusText;
             }
-            throw new Error(`Worker Error ${response.status}: ${errorDetail || response.statusText}`);
+            const error = new Error(`Worker Error ${response.status}: ${errorDetail || response.statusText}`);
+            // 5xx and rate limiting are transient; other 4xx won't change on retry
+            error.retryable = response.status >= 500 || response.status === 429;
+            throw error;
         }
 
-        const data = await response.json();
+        return await response.json();
+    } catch (error) {
+        if (error.retryable !== undefined) throw error;
+        const wrapped = new Error(error.name === 'AbortError'
+            ? `Worker request timed out after ${REQUEST_TIMEOUT / 1000}s`
+            : `Worker request failed: ${error.message}`);
+        wrapped.retryable = true;
+        throw wrapped;
+    } finally {
+        clearTimeout(timer);
+    }
+}
 
-        if (!data || !data.results) {
-            logError('Worker returned invalid JSON/missing results:', data);
-            throw new Error('Worker returned invalid response data');
-        }
+// Half to full exponential delay, so tabs that failed together don't retry together
+function retryDelay(attempt) {
+    const cap = Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+    return Math.round(cap / 2 + Math.random() * cap / 2);
+}
 
-        log(`Worker returned ${data.results.length} results.`);
-        sendResponse({ success: true, results: data.results });
+function waitUntilOnline() {
+    if (navigator.onLine) return Promise.resolve();
 
-    } catch (error) {
-        logError('Batch lookup failed:', error);
-        sendResponse({ success: false, error: error.message });
-    }
+    log('Offline - pausing Worker requests.');
+    return new Promise((resolve, reject) => {
+        const onOnline = () => {
+            clearTimeout(timer);
+            log('Back online - resuming Worker requests.');
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            self.removeEventListener('online', onOnline);
+            reject(new Error('Offline'));
+        }, OFFLINE_WAIT_MAX);
+        self.addEventListener('online', onOnline, { once: true });
+    });
 }
 
+// ============================================
+// KEYBOARD SHORTCUTS
+// ============================================
+
+// "commands" in manifest.json; the content script in the tab applies them and shows a toast
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab?.id) return;
+    chrome.tabs.sendMessage(tab.id, { type: 'RUN_COMMAND', command }, () => {
+        // No content script on this page (not a supported site)
+        if (chrome.runtime.lastError) log(`Command ${command} ignored:`, chrome.runtime.lastError.message);
+    });
+});
+
 // ============================================
 // INITIALIZATION
 // ============================================
 
 log('Service worker initialized');
-log('Worker URL:', WORKER_URL);
+getWorkerUrl().then(url => log('Worker URL:', url));
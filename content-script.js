@@ -1,20 +1,45 @@
 /**
- * Content Script - IMDb Ratings on Prime Video
- * Detects movie thumbnails, extracts info, and fetches ratings via Cloudflare Worker
+ * Content Script - IMDb Ratings on streaming sites
+ * Detects movie thumbnails, extracts info, and fetches ratings via Cloudflare Worker.
+ * Everything site-specific lives in the adapter loaded before this file (adapters/*.js).
  */
 
 (() => {
     'use strict';
 
+    /**
+     * Site adapter interface (globalThis.ShowRatingAdapter):
+     *   id                          - site prefix for cache keys ('prime', 'netflix')
+     *   containerSelector           - sections that hold cards
+     *   getCardSelector(container)  - cards inside a container
+     *   extractInfo(card, pageUrl)  - { title, href, entityType, verificationRating, year }
+     *   extractHref(card)           - href only, cleaned
+     *   cleanHref(href)             - canonical per-title href
+     *   isDetailUrl(url)            - whether the page is a single title's detail page
+     *   skipBadge(card)             - true for cards that must not be badged
+     *   findBadgeTarget(card)       - element the badge container is positioned in
+     *   insertBadge(target, badge)  - attach the badge container to the target
+     *   getFilterTarget(card)       - element the filter hides, or null if never filtered
+     *   getSortableList(container)  - element whose children can be reordered by rating, or null
+     *   getRowTitle(container)      - heading shown for the container in page stats, or null
+     *   episodes                    - { rowSelector, titleSelector, targetSelector, seasonSelector } or null
+     */
+    const adapter = globalThis.ShowRatingAdapter;
+    if (!adapter) return;
+
+    // Named settings profiles (settings.js)
+    const settingsStore = globalThis.ShowRatingSettings;
+
     // ============================================
     // CONFIGURATION
     // ============================================
 
     const CONFIG = {
         DEBUG: false,
-        LOOP_INTERVAL: 2000,            // ms between scans (was 1000)
-        PROCESSED_ATTR: 'data-imdb-processed',
-        WORKER_URL: 'https://imdb-ratings-proxy.markymn-dev.workers.dev'
+        SCAN_DEBOUNCE: 250,             // ms to coalesce DOM mutation bursts into one scan
+        VIEWPORT_MARGIN: '400px 0px',   // Cards this close to the viewport get looked up
+        PENDING_RETRY: 10000,           // ms before a card stuck in 'pending' is looked up again
+        PROCESSED_ATTR: 'data-imdb-processed'
     };
 
     const log = (...args) => {
@@ -26,49 +51,24 @@
     };
 
     // ============================================
-    // SELECTORS (Narrowed — matching Sift's approach)
-    // ============================================
-
-    // Container selectors: the large sections that hold program cards
-    const CONTAINER_SELECTORS = [
-        'section[data-testid="standard-carousel"]',
-        'section[data-testid="super-carousel"]',
-        'section[data-testid="charts-container"]',
-        'section[data-testid="collection-carousel"]',
-        'div[data-testid="grid-container"]',
-        'div[data-testid="navigation-bar-content-cards-below"]',
-        '[data-testid="top-hero"]',
-        '[data-testid="intermission-hero"]',
-        '[data-testid="atf-component"]'
-    ].join(', ');
-
-    // Program selectors: the individual cards inside containers
-    const getProgramSelector = (container) => {
-        const testId = container.getAttribute('data-testid');
-        if (testId === 'super-carousel') return 'article[data-testid="super-carousel-card"]';
-        if (testId === 'top-hero') return '[data-testid="top-hero-card"]';
-        if (testId === 'intermission-hero') return '[data-testid="intermission-hero-card"]';
-        if (testId === 'atf-component') return '[data-testid="product-details-hero"], [data-testid="detail-hero"]';
-        // Broad match: any card article (with or without data-card-title)
-        return 'article[data-testid="card"]';
-    };
-
-    // Title extraction fallback strategies (hoisted to avoid re-allocation)
-    const TITLE_STRATEGIES = [
-        { selector: '[data-testid="title-art"]', attr: 'aria-label' },
-        { selector: '[data-testid="image-link"]', attr: 'aria-label' },
-        { selector: 'a[aria-label]', attr: 'aria-label' },
-        { selector: 'h2[aria-label]', attr: 'aria-label' },
-        { selector: 'button[aria-label]', attr: 'aria-label' },
-        { selector: 'h1', attr: 'textContent' },
-        { selector: '[data-automation-id="title"]', attr: 'textContent' },
-        { selector: '[data-testid="card-title"]', attr: 'textContent' },
-        { selector: 'img[alt]', attr: 'alt' },
-        { selector: '[class*="Title"]', attr: 'textContent' }
-    ];
-
-    const EXCLUDED_FROM_FILTER = '[data-testid="top-hero-card"], [data-testid="single-item-carousel"], [data-testid="intermission-hero-card"], [data-testid="atf-component"]';
+    // SELECTORS
+    // ============================================
+
     const FILTER_CLASS = 'pv-filtered-out';
+    const PASS_CLASS = 'pv-filter-pass';      // Cards that pass active rules (styled in 'highlight' mode)
+
+    // Worker match confidence (0-1) below this gets the "uncertain" badge style
+    const LOW_CONFIDENCE = 0.7;
+    const UNCERTAIN_CLASS = 'pv-uncertain';
+
+    // Badges with a numeric score carry --pv-score-hue for the optional colour scale
+    const SCORED_CLASS = 'pv-scored';
+
+    // Titles the user marked themselves — independent of the rating filter
+    const HIDDEN_CLASSES = {
+        'watched': 'pv-marked-watched',
+        'not-interested': 'pv-marked-not-interested'
+    };
 
     // ============================================
     // STATE
@@ -78,51 +78,111 @@
         pendingContainers: new Map(),   // Map<href, Set<Container>>
         processedItems: new Set(),      // Track hrefs already sent/in-flight
         currentBatch: [],
-
-        // Filtering & Visibility
+        episodeSeasons: new Map(),      // Map<"imdbId:season", episodes[]>
+        pendingSeasons: new Set(),      // "imdbId:season" keys in-flight
+        matchOverrides: {},             // { href: imdbId } pinned by the user
+        clearedOverrides: new Set(),    // hrefs whose override was just removed; the next lookup unpins them
+        filterRules: [],                // User-built rules, see FILTER_RULES
+        sortMode: 'off',                // 'off' | key of SORT_SCORES
+        filterMode: 'ghost',            // Key of FILTER_MODE_STYLES
+        sortRestorePending: false,      // Put rows back in original order on the next pass
+        hiddenTitles: {},               // { href: { reason, title, imdbId, addedAt } }
+        hiddenImdbIds: new Map(),       // Map<imdbId, reason> derived from hiddenTitles
+
+        // Filtering & Visibility (from the active profile)
+        activeProfile: null,
         currentThreshold: 0.0,
         currentRtThreshold: 0,
+        currentMcThreshold: 0,
         currentOpacity: 0,
         currentScale: 1.0,
         showImdb: true,
         showRt: false,
+        showMetacritic: false,
+        badgePosition: 'top-left',      // Key of BADGE_POSITIONS
+        badgeLayout: 'compact',         // 'compact' | 'detailed' (votes inline)
+        badgeTheme: 'dark',             // Key of BADGE_THEMES
+        ratingColors: false,            // Tint badges red -> green by score
+        diagnostics: false,             // Per-card match overlay, toggled from the popup
+        badgesHidden: false,            // Keyboard toggle, per device like diagnostics
+        filteringPaused: false,         // Keyboard toggle - rules stay in the profile, just not applied
+        matchInfo: new Map(),           // Map<href, { source, error, debug }> from the last lookup
         lastUrl: window.location.href
     };
 
     // ============================================
-    // POLLING LOOP
+    // OBSERVERS
     // ============================================
 
-    let isPolling = false;
-    let loopTimeout = null;
-    let loopAbortController = null;
+    let mutationObserver = null;
+    let intersectionObserver = null;
+    let scanScheduled = false;
+
+    // Badges and overlays we insert ourselves don't need a rescan
+    const OWN_NODES = '.badge-container, .pv-diagnostics, .pv-toast';
+
+    const startObserving = () => {
+        if (mutationObserver) return;
+        log('Starting observers...');
+        intersectionObserver = new IntersectionObserver(handleIntersections, { rootMargin: CONFIG.VIEWPORT_MARGIN });
+        mutationObserver = new MutationObserver(handleMutations);
+        mutationObserver.observe(document.body, { childList: true, subtree: true });
+        window.addEventListener('popstate', scheduleScan);
+        document.addEventListener('visibilitychange', scheduleScan);
+        document.addEventListener('change', handleSeasonChange, true);
+        document.addEventListener('click', handleSeasonChange, true);
+        scheduleScan();
+    };
+
+    const stopObserving = () => {
+        if (mutationObserver) mutationObserver.disconnect();
+        if (intersectionObserver) intersectionObserver.disconnect();
+        mutationObserver = null;
+        intersectionObserver = null;
+        window.removeEventListener('popstate', scheduleScan);
+        document.removeEventListener('visibilitychange', scheduleScan);
+        document.removeEventListener('change', handleSeasonChange, true);
+        document.removeEventListener('click', handleSeasonChange, true);
+    };
 
-    const startPolling = () => {
-        if (isPolling) return;
-        isPolling = true;
-        log('Starting polling loop...');
-        loopAbortController = new AbortController();
-        loop();
+    // New cards and SPA navigation both show up as DOM mutations
+    const handleMutations = (mutations) => {
+        const relevant = mutations.some(mutation =>
+            Array.from(mutation.addedNodes).some(node => node.nodeType === Node.ELEMENT_NODE && !node.matches(OWN_NODES))
+        );
+        if (relevant || window.location.href !== state.lastUrl) scheduleScan();
     };
 
-    const stopPolling = () => {
-        isPolling = false;
-        if (loopTimeout) clearTimeout(loopTimeout);
-        if (loopAbortController) loopAbortController.abort();
-        loopAbortController = null;
+    const scheduleScan = () => {
+        if (scanScheduled || !mutationObserver || document.hidden) return;
+        scanScheduled = true;
+        setTimeout(() => {
+            scanScheduled = false;
+            if (!mutationObserver) return;
+            try {
+                runScan();
+            } catch (e) {
+                logError('Error in scan:', e);
+            }
+        }, CONFIG.SCAN_DEBOUNCE);
     };
 
-    const loop = () => {
-        if (!isPolling) return;
-        if (loopAbortController && loopAbortController.signal.aborted) return;
+    // Cards entering the viewport margin get looked up — on-screen ones first
+    const handleIntersections = (entries) => {
+        const entering = entries.filter(entry => entry.isIntersecting);
+        if (entering.length === 0) return;
 
-        try {
-            if (!document.hidden) runScan();
-        } catch (e) {
-            logError('Error in loop:', e);
-        }
+        const viewportHeight = window.innerHeight;
+        const onScreen = (entry) => entry.boundingClientRect.bottom > 0 && entry.boundingClientRect.top < viewportHeight ? 1 : 0;
+        entering.sort((a, b) => (onScreen(b) - onScreen(a)) || (a.boundingClientRect.top - b.boundingClientRect.top));
+
+        entering.forEach(({ target }) => {
+            intersectionObserver.unobserve(target);
+            if (!target.isConnected || target.hasAttribute(CONFIG.PROCESSED_ATTR)) return;
+            processProgram(target);
+        });
 
-        loopTimeout = setTimeout(loop, CONFIG.LOOP_INTERVAL);
+        flushQueued();
     };
 
     // ============================================
@@ -141,9 +201,19 @@
             state.currentBatch = [];
         }
 
-        const containers = document.querySelectorAll(CONTAINER_SELECTORS);
+        const containers = document.querySelectorAll(adapter.containerSelector);
         containers.forEach(processContainer);
 
+        processEpisodeList();
+        flushQueued();
+
+        // Keep sorted rows sorted as Prime lazily appends cards
+        if (state.sortMode !== 'off' || state.sortRestorePending) {
+            requestAnimationFrame(applySorting);
+        }
+    };
+
+    const flushQueued = () => {
         // Flush any remaining batch
         if (state.currentBatch.length > 0) {
             sendBatch(state.currentBatch);
@@ -155,9 +225,11 @@
             const batch = deferredInjections.splice(0);
             requestAnimationFrame(() => {
                 batch.forEach(({ program, cached }) => {
-                    injectBadge(program, cached.rating, cached.votes, cached.rt_rating);
-                    checkAndFilterCard(program, cached.rating, cached.rt_rating);
+                    injectBadge(program, cached.rating, cached.votes, cached.rt_rating, cached.metacritic, cached.confidence);
+                    checkAndFilterCard(program, cached);
+                    if (state.diagnostics) renderDiagnostics(program);
                 });
+                if (state.sortMode !== 'off') applySorting();
             });
         }
     };
@@ -165,10 +237,15 @@
     // Deferred DOM updates — collected during scan, flushed in one RAF
     let deferredInjections = [];
 
+    // Unprocessed cards wait for the IntersectionObserver; nothing is looked up until it's near the viewport,
+    // except in lists that are being sorted
     const processContainer = (container) => {
-        const selector = getProgramSelector(container);
+        const selector = adapter.getCardSelector(container);
         const programs = container.querySelectorAll(selector);
 
+        // A sorted list needs every card's rating, or cards further down jump above the viewport as they're rated
+        const lookUpAll = state.sortMode !== 'off' && adapter.getSortableList(container);
+
         programs.forEach(program => {
             // O(1) attribute check first — avoid querySelector on every card
             const status = program.getAttribute(CONFIG.PROCESSED_ATTR);
@@ -177,30 +254,43 @@
             // Retry stuck pending items (failed requests that never resolved)
             if (status === 'pending') {
                 const pendingTime = parseInt(program.dataset.pendingSince || '0');
-                if (pendingTime && (Date.now() - pendingTime) < 10000) return;
+                if (pendingTime && (Date.now() - pendingTime) < CONFIG.PENDING_RETRY) return;
                 program.removeAttribute(CONFIG.PROCESSED_ATTR);
             }
 
             // Safety net: badge exists but attribute was cleared (e.g. SPA nav)
             if (program.querySelector('.badge-container')) return;
 
-            processProgram(program);
+            if (lookUpAll) {
+                intersectionObserver.unobserve(program);
+                processProgram(program);
+                return;
+            }
+
+            // Observing an already-observed element is a no-op
+            intersectionObserver.observe(program);
         });
     };
 
     const processProgram = (program) => {
-        const info = extractInfo(program);
+        const info = adapter.extractInfo(program, state.lastUrl);
+        cardInfo.set(program, info || {});
         if (!info || !info.href) {
             // Mark so we don't re-run extractInfo every scan cycle
             program.setAttribute(CONFIG.PROCESSED_ATTR, 'no-data');
+            if (state.diagnostics) renderDiagnostics(program);
             return;
         }
 
+        // Remember the href on the card so background refreshes can find it again
+        program.dataset.imdbHref = info.href;
+        if (info.entityType) program.dataset.imdbEntityType = info.entityType;
+
         // Check session cache first
         if (state.processedItems.has(info.href)) {
             const cached = state.sessionCache.get(info.href);
             if (cached) {
-                // Defer DOM work — don't inject synchronously in the scan loop
+                // Defer DOM work — don't inject synchronously during the scan
                 deferredInjections.push({ program, cached, href: info.href });
                 program.setAttribute(CONFIG.PROCESSED_ATTR, 'success');
             } else {
@@ -232,132 +322,20 @@
         }
     };
 
-    // ============================================
-    // HELPERS & EXTRACTION
-    // ============================================
-
-    const cleanTitle = (text) => {
-        if (!text) return '';
-        return text
-            .replace(/^Watch\s+/i, '')
-            .replace(/\s*\(\d{4}\)\s*$/, '')
-            .replace(/\s*-?\s*Prime Video\s*$/i, '')
-            .replace(/\s*(?:-|:)?\s*Season\s+\d+.*/i, '')
-            .replace(/\s*(?:-|:)?\s*S\d{1,2}$/i, '')
-            .trim();
-    };
-
-    const cleanHref = (href) => {
-        if (!href) return null;
-        const patterns = [
-            /\/detail\/[A-Za-z0-9]+/,
-            /\/gp\/video\/detail\/[A-Za-z0-9]+/,
-            /\/dp\/[A-Za-z0-9]+/
-        ];
-        for (const pattern of patterns) {
-            const match = href.match(pattern);
-            if (match) return match[0];
-        }
-        return href.split('?')[0].split('/ref=')[0];
-    };
-
-    const extractInfo = (container) => {
-        const currentUrl = state.lastUrl;
-        let title = null;
-
-        // 1. Fast path: aria-label on packshot button (most reliable)
-        const packshotBtn = container.querySelector('[data-testid="packshot"] button[aria-label]');
-        if (packshotBtn) {
-            title = packshotBtn.getAttribute('aria-label');
-        }
-        // 2. Super carousel: aria-label on poster link
-        else if (container.matches('[data-testid="super-carousel-card"]')) {
-            const link = container.querySelector('a.shared-poster-link');
-            if (link) title = link.getAttribute('aria-label');
-        }
-        // 3. Top hero card
-        else if (container.matches('[data-testid="top-hero-card"]')) {
-            const titleNode = container.querySelector('h1, h2, [data-testid="carousel-title"]');
-            if (titleNode) title = titleNode.textContent;
-        }
-        // 4. Full fallback: prioritized strategy list
-        if (!title) {
-            for (const { selector, attr } of TITLE_STRATEGIES) {
-                const el = container.querySelector(selector);
-                if (!el) continue;
-                const candidate = attr === 'textContent' ? el.textContent?.trim() : el.getAttribute(attr);
-                if (candidate && !candidate.startsWith('Title number')) {
-                    title = candidate;
-                    break;
-                }
-            }
-        }
-
-        title = cleanTitle(title);
-
-        // Href extraction
-        let href = null;
-        const isDetailPage = currentUrl.includes('/detail/') || currentUrl.includes('/gp/video/detail/') || currentUrl.includes('/dp/');
-        const nativeBadge = container.querySelector('[data-automation-id="imdb-rating-badge"]');
-
-        if (isDetailPage && nativeBadge) {
-            href = currentUrl;
-        } else {
-            const actionLink = container.querySelector('[data-testid="details-cta"]');
-            if (actionLink) {
-                href = actionLink.getAttribute('href');
-            }
-            if (!href) {
-                if (container.tagName === 'A') {
-                    href = container.getAttribute('href');
-                } else {
-                    const link = container.querySelector('a[href*="/detail/"], a[href*="title"]');
-                    if (link) href = link.getAttribute('href');
-                }
-            }
-        }
-
-        if (href) href = cleanHref(href);
-
-        // Entity type
-        const entityType = container.dataset.cardEntityType || null;
-
-        // Verification data (detail pages only)
-        let verificationRating = null;
-        let year = null;
-        if (isDetailPage && nativeBadge) {
-            const match = nativeBadge.textContent.match(/(\d+(?:\.\d+)?)/);
-            if (match) verificationRating = match[1];
-
-            const yearBadge = container.querySelector('[data-automation-id="release-year-badge"]');
-            if (yearBadge) {
-                const yearText = yearBadge.textContent.trim();
-                if (/^\d{4}$/.test(yearText)) {
-                    year = yearText;
-                } else {
-                    const aria = yearBadge.getAttribute('aria-label');
-                    if (aria) {
-                        const ym = aria.match(/(\d{4})/);
-                        if (ym) year = ym[1];
-                    }
-                }
-            }
-        }
-
-        return { title, href, entityType, verificationRating, year };
-    };
-
     // ============================================
     // NETWORK
     // ============================================
 
     const sendBatch = (batch) => {
         const payload = batch.map(item => ({
+            site: adapter.id,
             title: item.info.title,
             href: item.info.href,
             entityType: item.info.entityType,
             verificationRating: item.info.verificationRating,
-            year: item.info.year
+            year: item.info.year,
+            overrideImdbId: state.matchOverrides[item.info.href] || null,
+            clearOverride: state.clearedOverrides.has(item.info.href)
         }));
 
         const CHUNK_SIZE = 25;
@@ -372,6 +350,9 @@
                 }, (response) => {
                     if (response && response.success && response.results) {
                         log(`Received ${response.results.length} results.`);
+                        chunk.forEach(item => {
+                            if (item.clearOverride) state.clearedOverrides.delete(item.href);
+                        });
                         handleBatchResponse(response.results);
                     } else if (response && response.error) {
                         logError('Batch failed:', response.error);
@@ -383,16 +364,22 @@
                             }
                             state.processedItems.delete(item.href);
                         });
+                        // The background already retried — back off before re-queueing these cards
+                        setTimeout(scheduleScan, CONFIG.PENDING_RETRY);
                     }
                 });
             } catch (error) {
                 // Ignore — extension context may be invalidated
             }
         }
+
+        // Picks up cards still pending if no response ever arrives
+        setTimeout(scheduleScan, CONFIG.PENDING_RETRY + CONFIG.SCAN_DEBOUNCE);
     };
 
     const handleBatchResponse = (results) => {
         const domUpdates = [];
+        recordMatchInfo(results);
 
         results.forEach(item => {
             const containers = state.pendingContainers.get(item.href);
@@ -413,100 +400,324 @@
             requestAnimationFrame(() => {
                 domUpdates.forEach(({ container, data }) => {
                     if (data) {
-                        injectBadge(container, data.rating, data.votes, data.rt_rating);
+                        injectBadge(container, data.rating, data.votes, data.rt_rating, data.metacritic, data.confidence);
                         container.setAttribute(CONFIG.PROCESSED_ATTR, 'success');
-                        checkAndFilterCard(container, data.rating, data.rt_rating);
+                        checkAndFilterCard(container, data);
                     } else {
                         container.setAttribute(CONFIG.PROCESSED_ATTR, 'no-data');
-                        checkAndFilterCard(container, 0, null);
+                        checkAndFilterCard(container, null);
                     }
+                    if (state.diagnostics) renderDiagnostics(container);
                 });
+                // Badges don't trigger a rescan, so place newly rated cards here
+                if (state.sortMode !== 'off') applySorting();
+            });
+        }
+
+        // The detail hero has no card to badge, so nothing rescans once the series ID lands
+        processEpisodeList();
+    };
+
+    // Results pushed by the background: cached hits for in-flight batches,
+    // or revalidated ratings for badges already on screen
+    const handleRatingsUpdated = (results) => {
+        const pending = results.filter(item => state.pendingContainers.has(item.href));
+        const refreshed = results.filter(item => item.data && !state.pendingContainers.has(item.href));
+
+        if (pending.length > 0) handleBatchResponse(pending);
+        if (refreshed.length === 0) return;
+        recordMatchInfo(refreshed);
+
+        const domUpdates = [];
+        refreshed.forEach(item => {
+            state.sessionCache.set(item.href, item.data);
+            document.querySelectorAll(`[data-imdb-href="${CSS.escape(item.href)}"]`).forEach(container => {
+                domUpdates.push({ container, data: item.data });
+            });
+        });
+
+        if (domUpdates.length > 0) {
+            requestAnimationFrame(() => {
+                domUpdates.forEach(({ container, data }) => {
+                    const existing = findBadgeTarget(container).querySelector('.badge-container');
+                    if (existing) existing.remove();
+                    injectBadge(container, data.rating, data.votes, data.rt_rating, data.metacritic, data.confidence);
+                    container.setAttribute(CONFIG.PROCESSED_ATTR, 'success');
+                    checkAndFilterCard(container, data);
+                    if (state.diagnostics) renderDiagnostics(container);
+                });
+                if (state.sortMode !== 'off') applySorting();
             });
         }
     };
 
     // ============================================
-    // FILTER LOGIC (CSS class based)
+    // EPISODES (series detail pages)
     // ============================================
 
-    const checkAndFilterCard = (container, rating, rtRating) => {
-        // Skip all filter work when no thresholds are set
-        if (state.currentThreshold <= 0 && state.currentRtThreshold <= 0) return;
+    // "S1 E3 - Pilot" or "Season 1, Episode 3"
+    const extractEpisodeInfo = (row) => {
+        const titleNode = row.querySelector(adapter.episodes.titleSelector);
+        const text = (titleNode && titleNode.textContent) || row.getAttribute('aria-label') || '';
+        const match = text.match(/S(\d+)\s*E(\d+)/i) || text.match(/Season\s+(\d+)\D+?Episode\s+(\d+)/i);
+        if (!match) return null;
+        return { season: parseInt(match[1]), episode: parseInt(match[2]) };
+    };
 
-        const testId = container.getAttribute('data-testid');
-        if (testId === 'top-hero-card' || testId === 'single-item-carousel' ||
-            testId === 'intermission-hero-card' || testId === 'atf-component') return;
+    // Prime loads the new season after the picker changes, and may reuse the same rows for it
+    const handleSeasonChange = (event) => {
+        const selector = adapter.episodes?.seasonSelector;
+        if (!selector || !(event.target instanceof Element) || !event.target.closest(selector)) return;
+        scheduleScan();
+        setTimeout(scheduleScan, CONFIG.PENDING_RETRY);
+    };
 
-        const li = container.closest('li');
-        if (!li) return;
+    const processEpisodeList = () => {
+        if (!adapter.episodes || !adapter.isDetailUrl(state.lastUrl)) return;
 
-        const imdbVal = parseFloat(rating) || 0;
-        let rtVal = 0;
-        if (rtRating) rtVal = parseInt(rtRating.replace('%', '')) || 0;
+        const rows = document.querySelectorAll(adapter.episodes.rowSelector);
+        if (rows.length === 0) return;
 
-        let shouldHide = false;
-        if (state.currentThreshold > 0 && imdbVal < state.currentThreshold) shouldHide = true;
-        if (!shouldHide && state.currentRtThreshold > 0 && rtRating && rtVal < state.currentRtThreshold) shouldHide = true;
+        // Series IMDb ID comes from the detail hero's own batch lookup
+        const series = state.sessionCache.get(adapter.cleanHref(state.lastUrl));
+        if (!series || !series.imdb_id) return;
 
-        if (shouldHide) {
-            li.classList.add(FILTER_CLASS);
-        } else {
-            li.classList.remove(FILTER_CLASS);
+        rows.forEach(row => {
+            const ep = extractEpisodeInfo(row);
+            const episodeKey = ep ? `${ep.season}:${ep.episode}` : '';
+
+            // A reused row showing a different episode drops the old badge
+            const status = row.getAttribute(CONFIG.PROCESSED_ATTR);
+            if (status === 'success' || status === 'no-data') {
+                if (row.dataset.pvEpisode === episodeKey) return;
+                row.querySelector('.badge-container')?.remove();
+            }
+            row.dataset.pvEpisode = episodeKey;
+
+            if (!ep) {
+                row.setAttribute(CONFIG.PROCESSED_ATTR, 'no-data');
+                return;
+            }
+
+            const key = `${series.imdb_id}:${ep.season}`;
+            const episodes = state.episodeSeasons.get(key);
+            if (!episodes) {
+                row.setAttribute(CONFIG.PROCESSED_ATTR, 'pending');
+                requestSeason(series.imdb_id, ep.season);
+                return;
+            }
+
+            const match = episodes.find(e => e.episode === ep.episode);
+            if (match && match.rating) {
+                injectEpisodeBadge(row, match);
+                row.setAttribute(CONFIG.PROCESSED_ATTR, 'success');
+            } else {
+                row.setAttribute(CONFIG.PROCESSED_ATTR, 'no-data');
+            }
+        });
+    };
+
+    const requestSeason = (seriesImdbId, season) => {
+        const key = `${seriesImdbId}:${season}`;
+        if (state.pendingSeasons.has(key)) return;
+        state.pendingSeasons.add(key);
+
+        log(`Requesting episodes for ${key}...`);
+
+        try {
+            chrome.runtime.sendMessage({
+                type: 'EPISODE_LOOKUP',
+                seriesImdbId,
+                season
+            }, (response) => {
+                state.pendingSeasons.delete(key);
+                if (response && response.success && response.episodes) {
+                    log(`Received ${response.episodes.length} episodes for ${key}.`);
+                    state.episodeSeasons.set(key, response.episodes);
+                    requestAnimationFrame(processEpisodeList);
+                } else if (response && response.error) {
+                    // Leave rows pending — the next scan retries
+                    logError('Episode lookup failed:', response.error);
+                }
+            });
+        } catch (error) {
+            state.pendingSeasons.delete(key);
+        }
+    };
+
+    // ============================================
+    // FILTER ENGINE (CSS class based)
+    // ============================================
+
+    const parseGenres = (genre) => (genre || '').split(',').map(g => g.trim().toLowerCase()).filter(Boolean);
+
+    // Each rule answers "does this card pass?". `data` is null for unmatched cards;
+    // apart from the IMDb threshold, a value we don't know never hides a card.
+    const FILTER_RULES = {
+        minImdb: (rule, data) => (parseFloat(data?.rating) || 0) >= rule.value,
+        minRt: (rule, data) => !data?.rt_rating || (parseInt(data.rt_rating.replace('%', '')) || 0) >= rule.value,
+        minMetascore: (rule, data) => data?.metacritic == null || data.metacritic >= rule.value,
+        minVotes: (rule, data) => !data || (data.votes || 0) >= rule.value,
+        yearRange: (rule, data) => {
+            const year = parseInt(data?.year);
+            if (!year) return true;
+            if (rule.min && year < rule.min) return false;
+            if (rule.max && year > rule.max) return false;
+            return true;
+        },
+        entityType: (rule, data, entityType) => !entityType || entityType === rule.value,
+        genres: (rule, data) => {
+            const genres = parseGenres(data?.genre);
+            if (genres.length === 0) return true;
+            const include = rule.include || [];
+            const exclude = rule.exclude || [];
+            if (exclude.some(g => genres.includes(g.toLowerCase()))) return false;
+            if (include.length > 0 && !include.some(g => genres.includes(g.toLowerCase()))) return false;
+            return true;
         }
     };
 
+    // Slider thresholds plus enabled user rules, in evaluation order
+    const getActiveRules = () => {
+        const rules = [];
+        if (state.filteringPaused) return rules;
+        if (state.currentThreshold > 0) rules.push({ type: 'minImdb', value: state.currentThreshold });
+        if (state.currentRtThreshold > 0) rules.push({ type: 'minRt', value: state.currentRtThreshold });
+        if (state.currentMcThreshold > 0) rules.push({ type: 'minMetascore', value: state.currentMcThreshold });
+        state.filterRules.forEach(rule => {
+            if (rule.enabled && FILTER_RULES[rule.type]) rules.push(rule);
+        });
+        return rules;
+    };
+
+    const shouldFilter = (rules, data, entityType) => rules.some(rule => !FILTER_RULES[rule.type](rule, data, entityType));
+
+    // Classes only — how filtered/passing cards look is up to the filter mode's CSS (injectFilterStyles)
+    const applyFilterResult = (container, rules, data) => {
+        const li = adapter.getFilterTarget(container);
+        if (!li) return;
+
+        const filtered = shouldFilter(rules, data, container.dataset.imdbEntityType || null);
+        li.classList.toggle(FILTER_CLASS, filtered);
+        li.classList.toggle(PASS_CLASS, !filtered && rules.length > 0);
+    };
+
+    const checkAndFilterCard = (container, data) => {
+        applyHiddenTitle(container, data);
+
+        // Skip all filter work when no rules are active
+        const rules = getActiveRules();
+        if (rules.length === 0) return;
+
+        applyFilterResult(container, rules, data);
+    };
+
     const reapplyAllFilters = () => {
-        log(`Re-applying filters: IMDb>${state.currentThreshold}, RT>${state.currentRtThreshold}`);
+        const rules = getActiveRules();
+        log(`Re-applying filters: ${rules.map(r => r.type).join(', ') || 'none'}`);
 
-        const containers = document.querySelectorAll(`[${CONFIG.PROCESSED_ATTR}]`);
+        // Only cards keyed by href — episode rows are never filtered
+        const containers = document.querySelectorAll(`[${CONFIG.PROCESSED_ATTR}][data-imdb-href]`);
         containers.forEach(container => {
             const href = getHrefFromContainer(container);
             if (!href) return;
 
-            const li = container.closest('li');
-            if (!li) return;
-            if (container.matches(EXCLUDED_FROM_FILTER)) return;
+            const data = state.sessionCache.get(href) || null;
+            applyHiddenTitle(container, data);
+            applyFilterResult(container, rules, data);
+        });
+    };
+
+    // ============================================
+    // SORTING
+    // ============================================
+
+    // Higher is better; null means "unrated" and sorts last
+    const SORT_SCORES = {
+        imdb: (data) => parseFloat(data.rating) || null,
+        rt: (data) => (data.rt_rating && parseInt(data.rt_rating.replace('%', ''))) || null,
+        // Average of whatever is known, on a 0-100 scale
+        blended: (data) => {
+            const scores = [];
+            const imdb = parseFloat(data.rating);
+            if (imdb) scores.push(imdb * 10);
+            const rt = data.rt_rating ? parseInt(data.rt_rating.replace('%', '')) : NaN;
+            if (!isNaN(rt)) scores.push(rt);
+            if (data.metacritic != null) scores.push(data.metacritic);
+            return scores.length > 0 ? scores.reduce((sum, v) => sum + v, 0) / scores.length : null;
+        }
+    };
 
-            const cached = state.sessionCache.get(href);
-            const imdbVal = cached ? (parseFloat(cached.rating) || 0) : 0;
-            let rtVal = 0;
-            if (cached?.rt_rating) rtVal = parseInt(cached.rt_rating.replace('%', '')) || 0;
+    // Monotonic, so items appended later always rank after the ones seen before them
+    let nextOriginalIndex = 0;
 
-            let shouldHide = false;
-            if (state.currentThreshold > 0 && imdbVal < state.currentThreshold) shouldHide = true;
-            if (!shouldHide && state.currentRtThreshold > 0 && cached?.rt_rating && rtVal < state.currentRtThreshold) shouldHide = true;
+    const sortList = (list) => {
+        const items = Array.from(list.children);
+        if (items.length < 2) return;
 
-            if (shouldHide) {
-                li.classList.add(FILTER_CLASS);
-            } else {
-                li.classList.remove(FILTER_CLASS);
+        const score = SORT_SCORES[state.sortMode];
+
+        // Sorting off: only lists we reordered before need restoring
+        if (!score && !items.some(item => item.dataset.imdbOriginalIndex !== undefined)) return;
+
+        items.forEach(item => {
+            if (item.dataset.imdbOriginalIndex === undefined) item.dataset.imdbOriginalIndex = nextOriginalIndex++;
+        });
+
+        const keyed = items.map(item => {
+            const card = item.querySelector('[data-imdb-href]');
+            const data = card ? state.sessionCache.get(card.dataset.imdbHref) : null;
+            return {
+                item,
+                index: parseInt(item.dataset.imdbOriginalIndex),
+                score: score && data ? score(data) : null
+            };
+        });
+
+        keyed.sort((a, b) => {
+            if (a.score !== b.score) {
+                if (a.score === null) return 1;
+                if (b.score === null) return -1;
+                return b.score - a.score;
             }
+            return a.index - b.index;
         });
+
+        // Only touch the DOM when the order actually changes
+        if (keyed.every((k, i) => k.item === items[i])) return;
+        list.append(...keyed.map(k => k.item));
     };
 
-    // Quick href lookup for reapplyAllFilters without full extractInfo
-    const getHrefFromContainer = (container) => {
-        // Try cached session data by checking all known hrefs
-        for (const [href, _] of state.sessionCache) {
-            // This is O(n) but only runs on settings change, not per-frame
-            const pending = state.pendingContainers.get(href);
-            if (pending && pending.has(container)) return href;
-        }
-        // Fallback: re-extract href only
-        let href = null;
-        const actionLink = container.querySelector('[data-testid="details-cta"]');
-        if (actionLink) href = actionLink.getAttribute('href');
-        if (!href) {
-            const link = container.querySelector('a[href*="/detail/"], a[href*="title"]');
-            if (link) href = link.getAttribute('href');
-        }
-        return href ? cleanHref(href) : null;
+    const applySorting = () => {
+        document.querySelectorAll(adapter.containerSelector).forEach(container => {
+            const list = adapter.getSortableList(container);
+            if (list) sortList(list);
+        });
+        state.sortRestorePending = false;
     };
 
+    // Quick href lookup for reapplyAllFilters without full extractInfo
+    const getHrefFromContainer = (container) => container.dataset.imdbHref || adapter.extractHref(container);
+
     // ============================================
     // UI INJECTION
     // ============================================
 
+    // 0-1 score -> hue from red (0) to green (120); 40% and below is fully red
+    const scoreHue = (score) => Math.round(Math.min(Math.max((score - 0.4) / 0.4, 0), 1) * 120);
+
+    const setScoreHue = (badge, score) => {
+        if (isNaN(score)) return;
+        badge.classList.add(SCORED_CLASS);
+        badge.style.setProperty('--pv-score-hue', scoreHue(score));
+    };
+
+    const formatVotes = (votes) => {
+        if (votes >= 1e6) return `${(votes / 1e6).toFixed(1)}M`;
+        if (votes >= 1e3) return `${Math.round(votes / 1e3)}K`;
+        return String(votes);
+    };
+
     const createBadge = (type, value, votes) => {
         const badge = document.createElement('div');
         if (type === 'imdb') {
@@ -520,7 +731,15 @@
             val.className = 'imdb-rating-value';
             val.textContent = formattedRating;
             badge.append(star, ' ', val);
-            if (votes) badge.title = `${votes} votes`;
+            if (numRating) setScoreHue(badge, numRating / 10);
+            if (votes) {
+                badge.title = `${votes} votes`;
+                // Only shown in the detailed layout
+                const voteCount = document.createElement('span');
+                voteCount.className = 'imdb-rating-votes';
+                voteCount.textContent = formatVotes(votes);
+                badge.append(voteCount);
+            }
         } else if (type === 'rt') {
             badge.className = 'rt-rating-badge';
             const icon = document.createElement('span');
@@ -530,6 +749,18 @@
             val.textContent = value;
             badge.append(icon, ' ', val);
             badge.title = 'RT';
+            setScoreHue(badge, parseInt(value) / 100);
+        } else if (type === 'metacritic') {
+            badge.className = 'mc-rating-badge';
+            const icon = document.createElement('span');
+            icon.className = 'mc-icon';
+            icon.textContent = 'M';
+            const val = document.createElement('span');
+            val.className = 'mc-rating-value';
+            val.textContent = value;
+            badge.append(icon, ' ', val);
+            badge.title = 'Metascore';
+            setScoreHue(badge, parseInt(value) / 100);
         }
         return badge;
     };
@@ -540,27 +771,13 @@
     const findBadgeTarget = (container) => {
         if (targetCache.has(container)) return targetCache.get(container);
 
-        let target;
-        const testId = container.getAttribute('data-testid');
-
-        if (testId === 'top-hero-card' || testId === 'single-item-carousel' || testId === 'intermission-hero-card') {
-            target = container.querySelector('[data-testid="title-metadata-main"]');
-        }
-
-        if (!target) {
-            target = container.querySelector('[data-testid="packshot"]') || container;
-        }
-
-        if (target.tagName === 'IMG') target = target.parentElement;
-
+        const target = adapter.findBadgeTarget(container);
         targetCache.set(container, target);
         return target;
     };
 
-    const injectBadge = (container, rating, votes, rtRating) => {
-        // Skip injection for Detail Page Hero
-        const testId = container.getAttribute('data-testid');
-        if (testId === 'atf-component') return;
+    const injectBadge = (container, rating, votes, rtRating, metacritic, confidence) => {
+        if (adapter.skipBadge(container)) return;
 
         const target = findBadgeTarget(container);
         if (!target) return;
@@ -581,17 +798,282 @@
             badgeContainer.appendChild(createBadge('imdb', rating, votes));
         }
 
+        // Weak title match: the number may belong to a different title
+        if (confidence != null && confidence < LOW_CONFIDENCE) {
+            const note = `Uncertain match (${Math.round(confidence * 100)}% confidence)`;
+            badgeContainer.classList.add(UNCERTAIN_CLASS);
+            badgeContainer.title = note;
+            const imdbBadge = badgeContainer.querySelector('.imdb-rating-badge');
+            if (imdbBadge) imdbBadge.title = imdbBadge.title ? `${imdbBadge.title} · ${note}` : note;
+        }
+
         if (state.showRt && rtRating) {
             badgeContainer.appendChild(createBadge('rt', rtRating));
         }
 
+        if (state.showMetacritic && metacritic != null) {
+            badgeContainer.appendChild(createBadge('metacritic', metacritic));
+        }
+
+        if (badgeContainer.children.length > 0 && container.dataset.imdbHref) {
+            const href = container.dataset.imdbHref;
+            badgeContainer.append(
+                createActionButton('?', 'Wrong match?', () => promptForOverride(href)),
+                createActionButton('✓', 'Mark as watched', () => markTitle(href, 'watched')),
+                createActionButton('✕', 'Not interested', () => markTitle(href, 'not-interested'))
+            );
+        }
+
         if (badgeContainer.children.length > 0) {
-            if (testId === 'title-metadata-main' || target.getAttribute('data-testid') === 'title-metadata-main') {
-                target.prepend(badgeContainer);
-            } else {
-                target.appendChild(badgeContainer);
+            adapter.insertBadge(target, badgeContainer);
+        }
+    };
+
+    const injectEpisodeBadge = (row, episode) => {
+        const target = row.querySelector(adapter.episodes.targetSelector) || row;
+        target.classList.add('pv-badge-target');
+
+        if (target.querySelector('.badge-container')) return;
+
+        const badgeContainer = document.createElement('div');
+        badgeContainer.className = 'badge-container';
+
+        if (state.currentScale !== 1) {
+            badgeContainer.style.zoom = state.currentScale;
+        }
+
+        const badge = createBadge('imdb', episode.rating, episode.votes);
+        if (!state.showImdb) badge.style.display = 'none';
+        badgeContainer.appendChild(badge);
+        target.appendChild(badgeContainer);
+    };
+
+    // Small hover-only button on the badge container
+    const createActionButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'badge-action-button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            // Cards are links — keep the click from navigating
+            e.preventDefault();
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    };
+
+    // ============================================
+    // MATCH OVERRIDES
+    // ============================================
+
+    const promptForOverride = (href) => {
+        const current = state.matchOverrides[href] || state.sessionCache.get(href)?.imdb_id || '';
+        const input = window.prompt('Wrong match? Paste the correct IMDb ID or URL (empty to remove your override):', current);
+        if (input === null) return;
+
+        const trimmed = input.trim();
+        if (!trimmed) {
+            if (!state.matchOverrides[href]) return;
+            delete state.matchOverrides[href];
+            // The Worker and background cache still hold the pinned match until told otherwise
+            state.clearedOverrides.add(href);
+        } else {
+            const match = trimmed.match(/tt\d{6,}/);
+            if (!match) {
+                window.alert('That does not look like an IMDb ID (e.g. tt0111161) or IMDb URL.');
+                return;
             }
+            if (match[0] === state.matchOverrides[href]) return;
+            state.matchOverrides[href] = match[0];
+            state.clearedOverrides.delete(href);
         }
+
+        chrome.storage.local.set({ matchOverrides: state.matchOverrides });
+        log(`Override for ${href}:`, state.matchOverrides[href] || '(removed)');
+        resetHref(href);
+    };
+
+    // Forget everything about an href so the next scan looks it up again
+    const resetHref = (href) => {
+        state.sessionCache.delete(href);
+        state.processedItems.delete(href);
+        state.pendingContainers.delete(href);
+
+        document.querySelectorAll(`[data-imdb-href="${CSS.escape(href)}"]`).forEach(container => {
+            const existing = findBadgeTarget(container).querySelector('.badge-container');
+            if (existing) existing.remove();
+            container.removeAttribute(CONFIG.PROCESSED_ATTR);
+        });
+    };
+
+    // ============================================
+    // WATCHED / NOT INTERESTED
+    // ============================================
+
+    const setHiddenTitles = (hiddenTitles) => {
+        state.hiddenTitles = hiddenTitles || {};
+        state.hiddenImdbIds = new Map();
+        Object.values(state.hiddenTitles).forEach(entry => {
+            if (entry.imdbId) state.hiddenImdbIds.set(entry.imdbId, entry.reason);
+        });
+    };
+
+    const getHiddenReason = (href, data) => {
+        const entry = href ? state.hiddenTitles[href] : null;
+        if (entry) return entry.reason;
+        // Same title under another href (other row, other site)
+        if (data?.imdb_id) return state.hiddenImdbIds.get(data.imdb_id) || null;
+        return null;
+    };
+
+    const applyHiddenTitle = (container, data) => {
+        const target = adapter.getFilterTarget(container);
+        if (!target) return;
+
+        const reason = getHiddenReason(container.dataset.imdbHref, data);
+        Object.entries(HIDDEN_CLASSES).forEach(([key, className]) => {
+            target.classList.toggle(className, key === reason);
+        });
+    };
+
+    const markTitle = (href, reason) => {
+        const data = state.sessionCache.get(href);
+        state.hiddenTitles[href] = {
+            reason,
+            title: data?.title || null,
+            imdbId: data?.imdb_id || null,
+            addedAt: Date.now()
+        };
+        setHiddenTitles(state.hiddenTitles);
+        chrome.storage.local.set({ hiddenTitles: state.hiddenTitles });
+        log(`Marked ${href} as ${reason}`);
+        reapplyAllFilters();
+    };
+
+    // Every tab hears these, so changes made in the popup (or on another device) apply everywhere
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (settingsStore.affectsActiveProfile(changes, areaName, state.activeProfile)) {
+            loadSettings();
+            return;
+        }
+        if (areaName !== 'local') return;
+        if (changes.diagnostics) setDiagnostics(Boolean(changes.diagnostics.newValue));
+        if (changes.badgesHidden) setBadgesHidden(Boolean(changes.badgesHidden.newValue));
+        if (changes.filteringPaused) setFilteringPaused(Boolean(changes.filteringPaused.newValue));
+        if (changes.hiddenTitles) {
+            setHiddenTitles(changes.hiddenTitles.newValue);
+            reapplyAllFilters();
+        }
+    });
+
+    // ============================================
+    // DIAGNOSTICS OVERLAY
+    // ============================================
+
+    const DIAGNOSTICS_CLASS = 'pv-diagnostics';
+    const DIAGNOSTICS_ROOT_CLASS = 'pv-diagnostics-on';   // Also outlines no-data cards (styles.css)
+
+    // What extractInfo saw for each card
+    const cardInfo = new WeakMap();
+
+    const recordMatchInfo = (results) => {
+        results.forEach(item => {
+            if (!item.href) return;
+            state.matchInfo.set(item.href, { source: item.source || null, error: item.error || null, debug: item.debug || null });
+        });
+    };
+
+    const renderDiagnostics = (card) => {
+        const target = findBadgeTarget(card);
+        if (!target) return;
+        target.querySelector(`:scope > .${DIAGNOSTICS_CLASS}`)?.remove();
+        if (!state.diagnostics) return;
+
+        const info = cardInfo.get(card) || {};
+        const href = card.dataset.imdbHref || info.href || null;
+        const match = href ? state.matchInfo.get(href) : null;
+        const data = href ? state.sessionCache.get(href) : null;
+
+        const lines = [
+            `title: ${info.title || '—'}`,
+            `href: ${href || '—'}`,
+            `year: ${info.year || '—'} · type: ${info.entityType || '—'}`,
+            `state: ${card.getAttribute(CONFIG.PROCESSED_ATTR) || '—'} · source: ${match?.source || '—'}`
+        ];
+        if (data?.imdb_id) {
+            const confidence = data.confidence != null ? ` (${Math.round(data.confidence * 100)}%)` : '';
+            lines.push(`imdb: ${data.imdb_id}${confidence}`);
+        }
+        if (match?.error) lines.push(`error: ${match.error}`);
+        if (match?.debug) lines.push(`debug: ${match.debug}`);
+
+        const overlay = document.createElement('div');
+        overlay.className = DIAGNOSTICS_CLASS;
+        overlay.textContent = lines.join('\n');
+        target.appendChild(overlay);
+    };
+
+    const setDiagnostics = (enabled) => {
+        if (enabled === state.diagnostics) return;
+        state.diagnostics = enabled;
+        document.documentElement.classList.toggle(DIAGNOSTICS_ROOT_CLASS, enabled);
+        document.querySelectorAll(`[${CONFIG.PROCESSED_ATTR}]`).forEach(card => {
+            // Episode rows share the processed attribute but have no extractInfo data
+            if (adapter.episodes && card.matches(adapter.episodes.rowSelector)) return;
+            renderDiagnostics(card);
+        });
+    };
+
+    // ============================================
+    // EXPORT
+    // ============================================
+
+    // One row per href: cards on the page, plus (scope 'session') everything looked up in this tab
+    const getPageData = (scope) => {
+        const rows = new Map();
+
+        const toRow = (href, data, extra) => ({
+            site: adapter.id,
+            href,
+            title: data?.title || extra.title || null,
+            year: data?.year || null,
+            imdb_id: data?.imdb_id || null,
+            rating: data?.rating || null,
+            votes: data?.votes || null,
+            rt_rating: data?.rt_rating || null,
+            metacritic: data?.metacritic ?? null,
+            genre: data?.genre || null,
+            confidence: data?.confidence ?? null,
+            status: extra.status,
+            filtered: extra.filtered,
+            hidden: getHiddenReason(href, data),
+            on_page: extra.onPage
+        });
+
+        document.querySelectorAll('[data-imdb-href]').forEach(card => {
+            const href = card.dataset.imdbHref;
+            if (rows.has(href)) return;
+
+            const data = state.sessionCache.get(href) || null;
+            const target = adapter.getFilterTarget(card);
+            rows.set(href, toRow(href, data, {
+                title: data ? null : adapter.extractInfo(card, state.lastUrl)?.title,
+                status: card.getAttribute(CONFIG.PROCESSED_ATTR),
+                filtered: Boolean(target && target.classList.contains(FILTER_CLASS)),
+                onPage: true
+            }));
+        });
+
+        if (scope === 'session') {
+            state.sessionCache.forEach((data, href) => {
+                if (rows.has(href)) return;
+                rows.set(href, toRow(href, data, { status: 'success', filtered: null, onPage: false }));
+            });
+        }
+
+        return Array.from(rows.values());
     };
 
     // ============================================
@@ -601,6 +1083,7 @@
     const updateBadgeVisibility = () => {
         document.querySelectorAll('.imdb-rating-badge').forEach(b => b.style.display = state.showImdb ? '' : 'none');
         document.querySelectorAll('.rt-rating-badge').forEach(b => b.style.display = state.showRt ? '' : 'none');
+        document.querySelectorAll('.mc-rating-badge').forEach(b => b.style.display = state.showMetacritic ? '' : 'none');
     };
 
     const updateBadgeScale = () => {
@@ -610,37 +1093,227 @@
     };
 
     // ============================================
-    // SETTINGS
+    // PAGE STATS
     // ============================================
 
-    const loadSettings = () => {
-        chrome.storage.local.get(['minRatingThreshold', 'minRtThreshold', 'ghostOpacity', 'badgeScale', 'showImdb', 'showRt'], (result) => {
-            if (result.minRatingThreshold !== undefined) state.currentThreshold = result.minRatingThreshold;
-            if (result.minRtThreshold !== undefined) state.currentRtThreshold = result.minRtThreshold;
-            if (result.ghostOpacity !== undefined) state.currentOpacity = result.ghostOpacity;
-            if (result.badgeScale !== undefined) state.currentScale = result.badgeScale;
-            if (result.showImdb !== undefined) state.showImdb = result.showImdb;
-            if (result.showRt !== undefined) state.showRt = result.showRt;
-            log(`Settings loaded: IMDb>${state.currentThreshold}, RT>${state.currentRtThreshold}`);
+    const TOP_TITLES = 10;
+    const FLASH_CLASS = 'pv-card-flash';
+    const FLASH_DURATION = 2000;
+
+    // Everything the popup's stats panel shows; counts are per card, so a title in two rows counts twice
+    const getPageStats = () => {
+        const stats = { detected: 0, rated: 0, noData: 0, filtered: 0, histogram: new Array(10).fill(0), rows: [], top: [] };
+        const seenCards = new Set();
+        const titles = new Map();   // Map<href, { href, title, rating, votes }>
+
+        document.querySelectorAll(adapter.containerSelector).forEach(container => {
+            const ratings = [];
+            container.querySelectorAll(adapter.getCardSelector(container)).forEach(card => {
+                if (seenCards.has(card)) return;
+                seenCards.add(card);
+                stats.detected++;
+
+                const status = card.getAttribute(CONFIG.PROCESSED_ATTR);
+                if (status === 'no-data') stats.noData++;
+
+                const target = adapter.getFilterTarget(card);
+                if (target && target.classList.contains(FILTER_CLASS)) stats.filtered++;
+
+                const href = card.dataset.imdbHref;
+                const data = href ? state.sessionCache.get(href) : null;
+                const rating = parseFloat(data?.rating);
+                if (status !== 'success' || !rating) return;
+
+                stats.rated++;
+                ratings.push(rating);
+                // Bucket n holds n.0-n.9; a perfect 10 shares the top bucket
+                stats.histogram[Math.min(Math.floor(rating), 9)]++;
+                if (!titles.has(href)) titles.set(href, { href, title: data.title || href, rating, votes: data.votes || 0 });
+            });
+
+            if (ratings.length === 0) return;
+            stats.rows.push({
+                title: adapter.getRowTitle(container) || `Row ${stats.rows.length + 1}`,
+                average: Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length * 10) / 10,
+                rated: ratings.length
+            });
         });
+
+        stats.top = Array.from(titles.values())
+            .sort((a, b) => b.rating - a.rating || b.votes - a.votes)
+            .slice(0, TOP_TITLES);
+        return stats;
     };
 
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        if (message.type === 'APPLY_SETTINGS') {
-            const s = message.settings;
-            state.currentThreshold = s.minRating;
-            state.currentRtThreshold = s.minRt;
-            state.currentOpacity = s.opacity;
-            state.currentScale = s.scale;
-            state.showImdb = s.showImdb;
-            state.showRt = s.showRt;
-
-            // Update the dynamic filter style
+    // "Scroll to card" from the popup; the card gets a brief outline so it's easy to spot
+    const scrollToCard = (href) => {
+        const card = document.querySelector(`[data-imdb-href="${CSS.escape(href)}"]`);
+        if (!card) return false;
+        card.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+        card.classList.add(FLASH_CLASS);
+        setTimeout(() => card.classList.remove(FLASH_CLASS), FLASH_DURATION);
+        return true;
+    };
+
+    // ============================================
+    // KEYBOARD COMMANDS
+    // ============================================
+
+    // Relayed by background.js from the manifest's "commands"
+    const THRESHOLD_STEP = 0.5;
+    const TOAST_DURATION = 1500;
+    const BADGES_HIDDEN_CLASS = 'pv-badges-hidden';
+
+    const FILTER_MODE_LABELS = {
+        ghost: 'Fade out',
+        collapse: 'Remove from rows',
+        highlight: 'Outline passing',
+        blur: 'Blur artwork'
+    };
+
+    const setBadgesHidden = (hidden) => {
+        state.badgesHidden = hidden;
+        document.documentElement.classList.toggle(BADGES_HIDDEN_CLASS, hidden);
+    };
+
+    const setFilteringPaused = (paused) => {
+        if (paused === state.filteringPaused) return;
+        state.filteringPaused = paused;
+        reapplyAllFilters();
+    };
+
+    // Applied here straight away (so repeated key presses build on each other), then saved to the
+    // active profile; storage.onChanged brings every other tab along
+    const updateProfile = (changes) => {
+        settingsStore.loadActiveSettings()
+            .then(({ name, settings }) => settingsStore.saveProfile(name, { ...settings, ...changes }))
+            .catch(e => logError('Profile update failed:', e));
+    };
+
+    const stepThreshold = (delta) => {
+        const value = Math.min(Math.max(Math.round((state.currentThreshold + delta) * 10) / 10, 0), 10);
+        state.currentThreshold = value;
+        reapplyAllFilters();
+        updateProfile({ minRatingThreshold: value });
+        return value > 0 ? `Min IMDb rating: ${value.toFixed(1)}` : 'Min IMDb rating: off';
+    };
+
+    // Each returns the toast text
+    const COMMANDS = {
+        'toggle-badges': () => {
+            setBadgesHidden(!state.badgesHidden);
+            chrome.storage.local.set({ badgesHidden: state.badgesHidden });
+            return state.badgesHidden ? 'Badges hidden' : 'Badges shown';
+        },
+        'toggle-filtering': () => {
+            setFilteringPaused(!state.filteringPaused);
+            chrome.storage.local.set({ filteringPaused: state.filteringPaused });
+            return state.filteringPaused ? 'Filtering paused' : 'Filtering on';
+        },
+        'raise-threshold': () => stepThreshold(THRESHOLD_STEP),
+        'lower-threshold': () => stepThreshold(-THRESHOLD_STEP),
+        'cycle-filter-mode': () => {
+            const modes = Object.keys(FILTER_MODE_STYLES);
+            const next = modes[(modes.indexOf(state.filterMode) + 1) % modes.length];
+            state.filterMode = next;
             injectFilterStyles();
             reapplyAllFilters();
-            updateBadgeVisibility();
-            updateBadgeScale();
+            updateProfile({ filterMode: next });
+            return `Filter mode: ${FILTER_MODE_LABELS[next]}`;
+        }
+    };
+
+    let toastTimer = null;
+
+    const showToast = (text) => {
+        let toast = document.querySelector('.pv-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.className = 'pv-toast';
+            toast.setAttribute('role', 'status');
+            document.body.appendChild(toast);
+        }
+        toast.textContent = text;
+        toast.classList.add('pv-toast-visible');
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => toast.classList.remove('pv-toast-visible'), TOAST_DURATION);
+    };
+
+    // ============================================
+    // SETTINGS
+    // ============================================
+
+    // Per-title lists: overrides must be known before the first batch goes out
+    const loadTitleLists = (callback) => {
+        chrome.storage.local.get(['matchOverrides', 'hiddenTitles'], (result) => {
+            state.matchOverrides = result.matchOverrides || {};
+            setHiddenTitles(result.hiddenTitles);
+            log(`Loaded ${Object.keys(state.matchOverrides).length} match overrides, ${Object.keys(state.hiddenTitles).length} hidden titles.`);
+            callback();
+        });
+    };
+
+    // Active profile's settings (settings.js) into state, then refresh what's already on the page
+    const applySettings = (name, s) => {
+        state.activeProfile = name;
+        state.currentThreshold = s.minRatingThreshold;
+        state.currentRtThreshold = s.minRtThreshold;
+        state.currentMcThreshold = s.minMetascoreThreshold;
+        state.currentOpacity = s.ghostOpacity;
+        state.currentScale = s.badgeScale;
+        state.showImdb = s.showImdb;
+        state.showRt = s.showRt;
+        state.showMetacritic = s.showMetacritic;
+        state.badgePosition = s.badgePosition;
+        state.badgeLayout = s.badgeLayout;
+        state.badgeTheme = s.badgeTheme;
+        state.ratingColors = s.ratingColors;
+        state.filterRules = s.filterRules;
+        state.filterMode = s.filterMode;
+        if (s.sortMode !== state.sortMode) {
+            state.sortRestorePending = s.sortMode === 'off';
+            state.sortMode = s.sortMode;
+            // Cards in sortable lists still waiting on the viewport get looked up now
+            if (s.sortMode !== 'off') scheduleScan();
+        }
+
+        injectDynamicStyles();
+        injectFilterStyles();
+        reapplyAllFilters();
+        updateBadgeVisibility();
+        updateBadgeScale();
+        applySorting();
+        log(`Profile "${name}": IMDb>${state.currentThreshold}, RT>${state.currentRtThreshold}, MC>${state.currentMcThreshold}`);
+    };
 
+    const loadSettings = () => {
+        settingsStore.loadActiveSettings()
+            .then(({ name, settings }) => applySettings(name, settings))
+            .catch(e => logError('Settings load failed:', e));
+    };
+
+    // Diagnostics and the keyboard toggles are per device, so they stay in local storage rather than the synced profile
+    const loadDeviceSettings = () => {
+        chrome.storage.local.get(['diagnostics', 'badgesHidden', 'filteringPaused'], (result) => {
+            setDiagnostics(Boolean(result.diagnostics));
+            setBadgesHidden(Boolean(result.badgesHidden));
+            setFilteringPaused(Boolean(result.filteringPaused));
+        });
+    };
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'RUN_COMMAND') {
+            const run = COMMANDS[message.command];
+            if (run) showToast(run());
+            sendResponse({ success: Boolean(run) });
+        } else if (message.type === 'GET_PAGE_STATS') {
+            sendResponse({ success: true, site: adapter.id, stats: getPageStats() });
+        } else if (message.type === 'SCROLL_TO_CARD') {
+            sendResponse({ success: scrollToCard(message.href) });
+        } else if (message.type === 'GET_PAGE_DATA') {
+            sendResponse({ success: true, site: adapter.id, url: state.lastUrl, rows: getPageData(message.scope) });
+        } else if (message.type === 'RATINGS_UPDATED') {
+            handleRatingsUpdated(message.results || []);
             sendResponse({ success: true });
         }
         return true;
@@ -650,6 +1323,40 @@
     // DYNAMIC STYLING
     // ============================================
 
+    // How filtered cards are presented; switching modes only swaps this CSS, so it's always reversible
+    const FILTER_MODE_STYLES = {
+        // Faded to the popup's opacity and not clickable
+        ghost: () => `
+            .${FILTER_CLASS} {
+                opacity: ${state.currentOpacity / 100} !important;
+                pointer-events: none !important;
+                transition: opacity 0.3s ease !important;
+            }
+        `,
+        // Taken out of the layout so rows and grids close the gaps
+        collapse: () => `
+            .${FILTER_CLASS} {
+                display: none !important;
+            }
+        `,
+        // Nothing hidden; cards that pass get an outline
+        highlight: () => `
+            .${PASS_CLASS} {
+                outline: 3px solid #f5c518 !important;
+                outline-offset: -3px !important;
+                border-radius: 8px;
+            }
+        `,
+        // Artwork blurred but still clickable; badges stay readable
+        blur: () => `
+            .${FILTER_CLASS} img,
+            .${FILTER_CLASS} picture {
+                filter: blur(6px) grayscale(0.5) !important;
+                transition: filter 0.3s ease !important;
+            }
+        `
+    };
+
     const injectFilterStyles = () => {
         const styleId = 'imdb-prime-filter-styles';
         let styleNode = document.getElementById(styleId);
@@ -659,19 +1366,86 @@
             document.head.appendChild(styleNode);
         }
 
-        const opacity = state.currentOpacity / 100;
+        const modeStyles = FILTER_MODE_STYLES[state.filterMode] || FILTER_MODE_STYLES.ghost;
         styleNode.textContent = `
             .pv-badge-target {
                 position: relative !important;
             }
-            .${FILTER_CLASS} {
-                opacity: ${opacity} !important;
-                pointer-events: none !important;
-                transition: opacity 0.3s ease !important;
+            ${modeStyles()}
+        `;
+    };
+
+    const BADGE_SELECTORS = '.imdb-rating-badge, .rt-rating-badge, .mc-rating-badge, .badge-action-button';
+
+    // Corner radius follows the corner so the badge sits flush with the artwork edge
+    const BADGE_POSITIONS = {
+        'top-left': { top: '2px', right: 'auto', bottom: 'auto', left: '2px', radius: '8px 0 8px 0' },
+        'top-right': { top: '2px', right: '2px', bottom: 'auto', left: 'auto', radius: '0 8px 0 8px' },
+        'bottom-left': { top: 'auto', right: 'auto', bottom: '2px', left: '2px', radius: '0 8px 0 8px' },
+        'bottom-right': { top: 'auto', right: '2px', bottom: '2px', left: 'auto', radius: '8px 0 8px 0' },
+        // Hangs under the artwork, so the target must not clip its overflow
+        'below': { top: 'calc(100% + 4px)', right: 'auto', bottom: 'auto', left: '0', radius: '6px' }
+    };
+
+    // null keeps the dark palette from styles.css
+    const BADGE_THEMES = {
+        dark: null,
+        light: { background: '#f4f4f4', border: '1px solid #c8c8c8', text: '#111111', star: '#a36f00', weight: 600 },
+        'high-contrast': { background: '#000000', border: '2px solid #ffffff', text: '#ffffff', star: '#ffd700', weight: 800 }
+    };
+
+    const positionStyles = () => {
+        const pos = BADGE_POSITIONS[state.badgePosition] || BADGE_POSITIONS['top-left'];
+        return `
+            .badge-container {
+                top: ${pos.top} !important;
+                right: ${pos.right} !important;
+                bottom: ${pos.bottom} !important;
+                left: ${pos.left} !important;
+            }
+            ${BADGE_SELECTORS} {
+                border-radius: ${pos.radius};
+            }
+            ${state.badgePosition === 'below' ? '.pv-badge-target { overflow: visible !important; }' : ''}
+        `;
+    };
+
+    const themeStyles = () => {
+        const theme = BADGE_THEMES[state.badgeTheme];
+        if (!theme) return '';
+        return `
+            ${BADGE_SELECTORS} {
+                background: ${theme.background};
+                border: ${theme.border};
+                color: ${theme.text};
+                font-weight: ${theme.weight};
+            }
+            .imdb-rating-badge:hover, .rt-rating-badge:hover, .mc-rating-badge:hover {
+                background: ${theme.background};
+            }
+            .imdb-rating-value, .imdb-rating-votes {
+                color: ${theme.text};
+            }
+            .imdb-rating-star {
+                color: ${theme.star};
+            }
+        `;
+    };
+
+    // Red -> green by score; lightness keeps the text readable on either palette
+    const ratingColorStyles = () => {
+        if (!state.ratingColors) return '';
+        const lightness = state.badgeTheme === 'light' ? 82 : 22;
+        return `
+            .badge-container .${SCORED_CLASS},
+            .badge-container .${SCORED_CLASS}:hover {
+                background: hsl(var(--pv-score-hue) 65% ${lightness}%);
+                border-color: hsl(var(--pv-score-hue) 70% 45%);
             }
         `;
     };
 
+    // Rebuilt whenever the appearance settings change; badges themselves are never re-created
     const injectDynamicStyles = () => {
         const pageFontFamily = window.getComputedStyle(document.body).getPropertyValue('font-family');
         const styleId = 'imdb-prime-dynamic-styles';
@@ -685,9 +1459,13 @@
             .badge-container {
                 font-family: ${pageFontFamily}, sans-serif !important;
             }
-            .imdb-rating-badge, .rt-rating-badge {
+            .imdb-rating-badge, .rt-rating-badge, .mc-rating-badge {
                 font-family: inherit !important;
             }
+            ${positionStyles()}
+            ${themeStyles()}
+            ${ratingColorStyles()}
+            ${state.badgeLayout === 'detailed' ? '.imdb-rating-votes { display: inline; }' : ''}
         `;
     };
 
@@ -697,7 +1475,7 @@
 
     const cleanup = () => {
         log('Cleaning up orphaned script...');
-        stopPolling();
+        stopObserving();
         window.removeEventListener('message', handleWindowMessage);
 
         const filterStyle = document.getElementById('imdb-prime-filter-styles');
@@ -726,7 +1504,8 @@
         injectDynamicStyles();
         injectFilterStyles();
         loadSettings();
-        startPolling();
+        loadDeviceSettings();
+        loadTitleLists(startObserving);
     };
 
     if (document.readyState === 'loading') {
@@ -0,0 +1,148 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const urlInput = document.getElementById('workerUrlInput');
+    const saveButton = document.getElementById('saveButton');
+    const testButton = document.getElementById('testButton');
+    const statusMessage = document.getElementById('statusMessage');
+
+    // Load saved settings
+    chrome.storage.local.get(['workerUrl'], (result) => {
+        urlInput.value = result.workerUrl ?? '';
+    });
+
+    function setStatus(text, type) {
+        statusMessage.textContent = text;
+        statusMessage.className = `status-message${type ? ` ${type}` : ''}`;
+    }
+
+    /**
+     * Validate the typed URL; returns '' for "use default", null if invalid
+     */
+    function readUrl() {
+        const value = urlInput.value.trim().replace(/\/+$/, '');
+        if (!value) return '';
+        try {
+            const parsed = new URL(value);
+            if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+            return value;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Custom hosts outside *.workers.dev need an optional host permission
+     */
+    function ensurePermission(url) {
+        return new Promise((resolve) => {
+            if (!url) return resolve(true);
+            const origins = [`${new URL(url).origin}/*`];
+            chrome.permissions.contains({ origins }, (granted) => {
+                if (granted) return resolve(true);
+                chrome.permissions.request({ origins }, (result) => resolve(Boolean(result)));
+            });
+        });
+    }
+
+    saveButton.addEventListener('click', async () => {
+        const url = readUrl();
+        if (url === null) {
+            setStatus('Enter a valid http(s) URL.', 'error');
+            return;
+        }
+
+        if (!await ensurePermission(url)) {
+            setStatus('Permission to reach this host was not granted.', 'error');
+            return;
+        }
+
+        const done = () => setStatus(url ? 'Saved.' : 'Saved. Using the default backend.', 'success');
+        if (url) {
+            chrome.storage.local.set({ workerUrl: url }, done);
+        } else {
+            chrome.storage.local.remove('workerUrl', done);
+        }
+        urlInput.value = url;
+    });
+
+    testButton.addEventListener('click', async () => {
+        const url = readUrl();
+        if (url === null) {
+            setStatus('Enter a valid http(s) URL.', 'error');
+            return;
+        }
+
+        if (!await ensurePermission(url)) {
+            setStatus('Permission to reach this host was not granted.', 'error');
+            return;
+        }
+
+        testButton.disabled = true;
+        setStatus('Testing...');
+
+        chrome.runtime.sendMessage({ type: 'HEALTH_CHECK', workerUrl: url }, (response) => {
+            testButton.disabled = false;
+
+            if (!response || !response.success) {
+                setStatus(`Connection failed: ${response?.error || 'no response'}`, 'error');
+                return;
+            }
+
+            const { health } = response;
+            const lines = [
+                `Worker version: ${health.version || 'unknown'}`,
+                `D1 database: ${health.d1 ? 'reachable' : `unreachable${health.d1Error ? ` (${health.d1Error})` : ''}`}`,
+                `OMDB_API_KEY: ${health.omdbKey ? 'set' : 'missing'}`,
+                `IMDb dataset: ${health.dataset ? 'imported' : 'not imported'}`
+            ];
+            // Older workers don't report it
+            if (typeof health.edgeCache === 'boolean') {
+                lines.push(`Edge cache: ${health.edgeCache ? 'on' : 'off (needs a custom domain, not *.workers.dev)'}`);
+            }
+            if (health.quota) {
+                lines.push(`OMDb calls today: ${health.quota.used}/${health.quota.budget} (${health.quota.state})`);
+            }
+            setStatus(lines.join('\n'), health.ok ? 'success' : 'error');
+        });
+    });
+
+    urlInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveButton.click();
+    });
+
+    // --- Profiles (settings.js) ---
+    // Lives here rather than in the popup: opening a file picker closes the popup
+    const settingsStore = globalThis.ShowRatingSettings;
+    const importInput = document.getElementById('importProfilesInput');
+    const profileStatusMessage = document.getElementById('profileStatusMessage');
+
+    function setProfileStatus(text, type) {
+        profileStatusMessage.textContent = text;
+        profileStatusMessage.className = `status-message${type ? ` ${type}` : ''}`;
+    }
+
+    document.getElementById('exportProfilesButton').addEventListener('click', async () => {
+        const json = await settingsStore.exportProfiles();
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `showrating-profiles-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        setProfileStatus('Exported.', 'success');
+    });
+
+    document.getElementById('importProfilesButton').addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+
+        try {
+            const names = await settingsStore.importProfiles(await file.text());
+            setProfileStatus(`Imported ${names.length} profile(s): ${names.join(', ')}`, 'success');
+        } catch (e) {
+            setProfileStatus(`Import failed: ${e.message}`, 'error');
+        }
+    });
+});
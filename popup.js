@@ -1,11 +1,18 @@
 document.addEventListener('DOMContentLoaded', () => {
     // Controls
+    const profileSelect = document.getElementById('profileSelect');
+    const profileNameInput = document.getElementById('profileNameInput');
+    const profileStatus = document.getElementById('profileStatus');
+
     const slider = document.getElementById('ratingSlider');
     const input = document.getElementById('ratingInput');
 
     const rtSlider = document.getElementById('rtSlider');
     const rtInput = document.getElementById('rtInput');
 
+    const mcSlider = document.getElementById('mcSlider');
+    const mcInput = document.getElementById('mcInput');
+
     const opacitySlider = document.getElementById('opacitySlider');
     const opacityValue = document.getElementById('opacityValue');
 
@@ -14,23 +21,66 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const showImdbCheckbox = document.getElementById('showImdb');
     const showRtCheckbox = document.getElementById('showRt');
+    const showMetacriticCheckbox = document.getElementById('showMetacritic');
+
+    const badgePositionSelect = document.getElementById('badgePositionSelect');
+    const badgeLayoutSelect = document.getElementById('badgeLayoutSelect');
+    const badgeThemeSelect = document.getElementById('badgeThemeSelect');
+    const ratingColorsCheckbox = document.getElementById('ratingColors');
+
+    const sortSelect = document.getElementById('sortSelect');
+    const filterModeSelect = document.getElementById('filterModeSelect');
+
+    const diagnosticsCheckbox = document.getElementById('diagnostics');
+
+    const ruleList = document.getElementById('ruleList');
+    const ruleTypeSelect = document.getElementById('ruleTypeSelect');
+    const addRuleButton = document.getElementById('addRuleButton');
+
+    // Filter rules (see FILTER_RULES in content-script.js)
+    let filterRules = [];
+
+    const RULE_DEFAULTS = {
+        minVotes: () => ({ type: 'minVotes', enabled: true, value: 1000 }),
+        yearRange: () => ({ type: 'yearRange', enabled: true, min: 2000, max: null }),
+        entityType: () => ({ type: 'entityType', enabled: true, value: 'Movie' }),
+        genres: () => ({ type: 'genres', enabled: true, include: [], exclude: [] })
+    };
+
+    const RULE_LABELS = {
+        minVotes: 'Min IMDb votes',
+        yearRange: 'Release year',
+        entityType: 'Type',
+        genres: 'Genres'
+    };
 
-    // Load saved settings
-    chrome.storage.local.get(['minRatingThreshold', 'minRtThreshold', 'ghostOpacity', 'badgeScale', 'showImdb', 'showRt'], (result) => {
-        const threshold = result.minRatingThreshold ?? 0.0;
-        const rtThreshold = result.minRtThreshold ?? 0;
-        const opacity = result.ghostOpacity ?? 0;
-        const scale = result.badgeScale ?? 1.0;
-        const showImdb = result.showImdb ?? true;
-        const showRt = result.showRt ?? false;
+    // Settings profiles (settings.js) — the popup edits the active one
+    const settingsStore = globalThis.ShowRatingSettings;
+    let activeProfile = null;
+
+    loadProfiles();
+
+    // Diagnostics is per device and not part of a profile
+    chrome.storage.local.get(['diagnostics'], (result) => {
+        diagnosticsCheckbox.checked = result.diagnostics ?? false;
+    });
+
+    function populateControls(settings) {
+        const threshold = settings.minRatingThreshold;
+        const opacity = settings.ghostOpacity;
+        const scale = settings.badgeScale;
 
         // IMDb
         slider.value = threshold;
         input.value = parseFloat(threshold).toFixed(1);
 
         // RT
-        rtSlider.value = rtThreshold;
-        rtInput.value = rtThreshold;
+        rtSlider.value = settings.minRtThreshold;
+        rtInput.value = settings.minRtThreshold;
+
+        // Metacritic
+        mcSlider.value = settings.minMetascoreThreshold;
+        mcInput.value = settings.minMetascoreThreshold;
 
         // Opacity
         opacitySlider.value = opacity;
@@ -41,9 +91,27 @@ document.addEventListener('DOMContentLoaded', () => {
         scaleInput.value = parseFloat(scale).toFixed(2);
 
         // Visibility
-        showImdbCheckbox.checked = showImdb;
-        showRtCheckbox.checked = showRt;
-    });
+        showImdbCheckbox.checked = settings.showImdb;
+        showRtCheckbox.checked = settings.showRt;
+        showMetacriticCheckbox.checked = settings.showMetacritic;
+
+        // Appearance
+        badgePositionSelect.value = settings.badgePosition;
+        badgeLayoutSelect.value = settings.badgeLayout;
+        badgeThemeSelect.value = settings.badgeTheme;
+        ratingColorsCheckbox.checked = settings.ratingColors;
+
+        // Filter mode (opacity only applies to fading)
+        filterModeSelect.value = settings.filterMode;
+        updateOpacityState();
+
+        // Sorting
+        sortSelect.value = settings.sortMode;
+
+        // Rules
+        filterRules = settings.filterRules;
+        renderRules();
+    }
 
     // --- Helper: Sync Slider <-> Input ---
     // decimals: number of decimal places (0 for integers, 1 for IMDb, 2 for scale)
@@ -91,6 +159,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup Syncs
     setupSync(slider, input, 1);           // IMDb (1 decimal)
     setupSync(rtSlider, rtInput, 0);       // RT (integer)
+    setupSync(mcSlider, mcInput, 0);       // Metascore (integer)
     setupSync(scaleSlider, scaleInput, 2); // Scale (2 decimals)
 
     // --- Opacity Slider Logic ---
@@ -99,46 +168,457 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     opacitySlider.addEventListener('change', () => applySettings());
 
+    // --- Filter Mode Logic ---
+    function updateOpacityState() {
+        opacitySlider.disabled = filterModeSelect.value !== 'ghost';
+    }
+
+    filterModeSelect.addEventListener('change', () => {
+        updateOpacityState();
+        applySettings();
+    });
+
     // --- Checkbox Logic ---
     showImdbCheckbox.addEventListener('change', () => applySettings());
     showRtCheckbox.addEventListener('change', () => applySettings());
+    showMetacriticCheckbox.addEventListener('change', () => applySettings());
 
-    /**
-     * Save settings and notify content script
-     */
-    function applySettings() {
-        const threshold = parseFloat(slider.value);
-        const rtThreshold = parseInt(rtSlider.value);
-        const opacity = parseInt(opacitySlider.value);
-        const scale = parseFloat(scaleSlider.value);
-        const showImdb = showImdbCheckbox.checked;
-        const showRt = showRtCheckbox.checked;
-
-        // Save to storage
-        chrome.storage.local.set({
-            minRatingThreshold: threshold,
-            minRtThreshold: rtThreshold,
-            ghostOpacity: opacity,
-            badgeScale: scale,
-            showImdb: showImdb,
-            showRt: showRt
+    // --- Appearance Logic ---
+    badgePositionSelect.addEventListener('change', () => applySettings());
+    badgeLayoutSelect.addEventListener('change', () => applySettings());
+    badgeThemeSelect.addEventListener('change', () => applySettings());
+    ratingColorsCheckbox.addEventListener('change', () => applySettings());
+    diagnosticsCheckbox.addEventListener('change', () => {
+        chrome.storage.local.set({ diagnostics: diagnosticsCheckbox.checked });
+    });
+
+    // --- Sort Logic ---
+    sortSelect.addEventListener('change', () => applySettings());
+
+    // --- Filter Rules ---
+    addRuleButton.addEventListener('click', () => {
+        filterRules.push(RULE_DEFAULTS[ruleTypeSelect.value]());
+        renderRules();
+        applySettings();
+    });
+
+    function renderRules() {
+        ruleList.replaceChildren(...filterRules.map((rule, index) => createRuleRow(rule, index)));
+    }
+
+    function createRuleRow(rule, index) {
+        const row = document.createElement('div');
+        row.className = 'rule-row';
+
+        const header = document.createElement('div');
+        header.className = 'rule-header';
+
+        const toggleLabel = document.createElement('label');
+        toggleLabel.className = 'checkbox-label';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = rule.enabled;
+        toggle.addEventListener('change', () => {
+            rule.enabled = toggle.checked;
+            applySettings();
         });
+        toggleLabel.append(toggle, ` ${RULE_LABELS[rule.type] || rule.type}`);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'rule-remove';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove rule';
+        removeButton.addEventListener('click', () => {
+            filterRules.splice(index, 1);
+            renderRules();
+            applySettings();
+        });
+
+        header.append(toggleLabel, removeButton);
+
+        const fields = document.createElement('div');
+        fields.className = 'rule-fields';
+
+        if (rule.type === 'minVotes') {
+            fields.append(createNumberField(rule.value, '0', (val) => { rule.value = val || 0; }));
+        } else if (rule.type === 'yearRange') {
+            fields.append(
+                createNumberField(rule.min, 'from', (val) => { rule.min = val; }),
+                '–',
+                createNumberField(rule.max, 'to', (val) => { rule.max = val; })
+            );
+        } else if (rule.type === 'entityType') {
+            const select = document.createElement('select');
+            [['Movie', 'Movies only'], ['TV Show', 'TV only']].forEach(([value, text]) => {
+                select.append(new Option(text, value, false, rule.value === value));
+            });
+            select.addEventListener('change', () => {
+                rule.value = select.value;
+                applySettings();
+            });
+            fields.append(select);
+        } else if (rule.type === 'genres') {
+            fields.append(
+                createGenreField(rule, 'include', 'Include, e.g. Comedy'),
+                createGenreField(rule, 'exclude', 'Exclude, e.g. Horror')
+            );
+        }
+
+        row.append(header, fields);
+        return row;
+    }
+
+    function createNumberField(value, placeholder, onChange) {
+        const field = document.createElement('input');
+        field.type = 'number';
+        field.min = '0';
+        field.placeholder = placeholder;
+        field.value = value ?? '';
+        field.addEventListener('change', () => {
+            const val = parseInt(field.value);
+            onChange(isNaN(val) ? null : val);
+            applySettings();
+        });
+        field.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') e.target.blur();
+        });
+        return field;
+    }
 
-        // Send message to content script on active tab
+    function createGenreField(rule, key, placeholder) {
+        const field = document.createElement('input');
+        field.type = 'text';
+        field.placeholder = placeholder;
+        field.value = (rule[key] || []).join(', ');
+        field.addEventListener('change', () => {
+            rule[key] = field.value.split(',').map(g => g.trim()).filter(Boolean);
+            applySettings();
+        });
+        field.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') e.target.blur();
+        });
+        return field;
+    }
+
+    // --- Page Stats ---
+    const statsPanel = document.getElementById('statsPanel');
+    const statsEmpty = document.getElementById('statsEmpty');
+
+    loadPageStats();
+
+    function sendToActiveTab(message, callback) {
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0]?.id) {
-                chrome.tabs.sendMessage(tabs[0].id, {
-                    type: 'APPLY_SETTINGS',
-                    settings: {
-                        minRating: threshold,
-                        minRt: rtThreshold,
-                        opacity: opacity,
-                        scale: scale,
-                        showImdb: showImdb,
-                        showRt: showRt
-                    }
+            if (!tabs[0]?.id) return callback(null);
+            chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
+                callback(chrome.runtime.lastError ? null : response);
+            });
+        });
+    }
+
+    function loadPageStats() {
+        sendToActiveTab({ type: 'GET_PAGE_STATS' }, (response) => {
+            if (!response?.success) return;
+            renderPageStats(response.stats);
+        });
+    }
+
+    function renderPageStats(stats) {
+        statsEmpty.hidden = true;
+        statsPanel.hidden = false;
+
+        document.getElementById('statDetected').textContent = stats.detected;
+        document.getElementById('statRated').textContent = stats.rated;
+        document.getElementById('statNoData').textContent = stats.noData;
+        document.getElementById('statFiltered').textContent = stats.filtered;
+
+        // One bar per whole point (bucket 9 includes 10.0)
+        const tallest = Math.max(...stats.histogram, 1);
+        document.getElementById('statsHistogram').replaceChildren(...stats.histogram.map((count, bucket) => {
+            const column = document.createElement('div');
+            column.className = 'histogram-column';
+            column.title = `${bucket}.0–${bucket}.9: ${count}`;
+
+            const track = document.createElement('div');
+            track.className = 'histogram-track';
+            const bar = document.createElement('div');
+            bar.className = 'histogram-bar';
+            bar.style.height = `${Math.round(count / tallest * 100)}%`;
+            track.append(bar);
+
+            const label = document.createElement('span');
+            label.textContent = bucket;
+
+            column.append(track, label);
+            return column;
+        }));
+
+        document.getElementById('statsRows').replaceChildren(...(stats.rows.length > 0
+            ? stats.rows.map(row => createStatsRow(row.title, `${row.average.toFixed(1)} (${row.rated})`))
+            : [createEmptyNote('No rated rows yet.')]));
+
+        document.getElementById('statsTop').replaceChildren(...(stats.top.length > 0
+            ? stats.top.map(item => {
+                const row = createStatsRow(item.title, item.rating.toFixed(1));
+                const show = document.createElement('button');
+                show.type = 'button';
+                show.className = 'small-button';
+                show.textContent = 'Show';
+                show.title = 'Scroll to card';
+                show.addEventListener('click', () => sendToActiveTab({ type: 'SCROLL_TO_CARD', href: item.href }, () => {}));
+                row.append(show);
+                return row;
+            })
+            : [createEmptyNote('No ratings on this page yet.')]));
+    }
+
+    function createStatsRow(title, value) {
+        const row = document.createElement('div');
+        row.className = 'stats-row';
+
+        const name = document.createElement('span');
+        name.className = 'stats-title';
+        name.textContent = title;
+        name.title = title;
+
+        const score = document.createElement('span');
+        score.className = 'stats-value';
+        score.textContent = value;
+
+        row.append(name, score);
+        return row;
+    }
+
+    function createEmptyNote(text) {
+        const note = document.createElement('p');
+        note.className = 'empty-note';
+        note.textContent = text;
+        return note;
+    }
+
+    // --- Profiles ---
+    function loadProfiles() {
+        settingsStore.loadProfiles().then(({ active, profiles }) => {
+            activeProfile = active;
+            const names = Object.keys(profiles).sort((a, b) => a.localeCompare(b));
+            profileSelect.replaceChildren(...names.map(name => new Option(name, name, false, name === active)));
+            document.getElementById('deleteProfileButton').disabled = names.length < 2;
+            populateControls(profiles[active]);
+        });
+    }
+
+    function showProfileStatus(text) {
+        profileStatus.textContent = text;
+        profileStatus.hidden = !text;
+    }
+
+    // Name from the text field, or null (with a message) if it can't be used
+    function readProfileName() {
+        const name = settingsStore.cleanName(profileNameInput.value);
+        if (!name) {
+            showProfileStatus('Type a profile name first.');
+            return null;
+        }
+        if ([...profileSelect.options].some(option => option.value === name)) {
+            showProfileStatus(`"${name}" already exists.`);
+            return null;
+        }
+        return name;
+    }
+
+    // Switching profiles updates every open tab through storage.onChanged
+    profileSelect.addEventListener('change', () => {
+        showProfileStatus('');
+        settingsStore.setActiveProfile(profileSelect.value).then(loadProfiles);
+    });
+
+    // Copies the current controls into a new profile and switches to it
+    document.getElementById('newProfileButton').addEventListener('click', () => {
+        const name = readProfileName();
+        if (!name) return;
+        settingsStore.saveProfile(name, collectSettings())
+            .then(() => settingsStore.setActiveProfile(name))
+            .then(() => {
+                profileNameInput.value = '';
+                showProfileStatus(`Saved as "${name}".`);
+                loadProfiles();
+            });
+    });
+
+    document.getElementById('renameProfileButton').addEventListener('click', () => {
+        const name = readProfileName();
+        if (!name || !activeProfile) return;
+        settingsStore.renameProfile(activeProfile, name, true).then(() => {
+            profileNameInput.value = '';
+            showProfileStatus('');
+            loadProfiles();
+        });
+    });
+
+    document.getElementById('deleteProfileButton').addEventListener('click', () => {
+        const remaining = [...profileSelect.options].map(option => option.value).filter(name => name !== activeProfile);
+        if (!activeProfile || remaining.length === 0) return;
+        const deleted = activeProfile;
+        settingsStore.setActiveProfile(remaining[0])
+            .then(() => settingsStore.deleteProfile(deleted))
+            .then(() => {
+                showProfileStatus(`Deleted "${deleted}".`);
+                loadProfiles();
+            });
+    });
+
+    profileNameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') document.getElementById('newProfileButton').click();
+    });
+
+    // --- Watched / Not Interested ---
+    const hiddenList = document.getElementById('hiddenList');
+    const hiddenEmpty = document.getElementById('hiddenEmpty');
+
+    const HIDDEN_REASON_LABELS = {
+        'watched': 'Watched',
+        'not-interested': 'Not interested'
+    };
+
+    chrome.storage.local.get(['hiddenTitles'], (result) => renderHiddenTitles(result.hiddenTitles || {}));
+
+    function renderHiddenTitles(hiddenTitles) {
+        const entries = Object.entries(hiddenTitles).sort(([, a], [, b]) => b.addedAt - a.addedAt);
+        hiddenEmpty.hidden = entries.length > 0;
+
+        hiddenList.replaceChildren(...entries.map(([href, entry]) => {
+            const row = document.createElement('div');
+            row.className = 'hidden-row';
+
+            const name = document.createElement('span');
+            name.className = 'hidden-title';
+            name.textContent = entry.title || href;
+            name.title = href;
+
+            const reason = document.createElement('span');
+            reason.className = 'hidden-reason';
+            reason.textContent = HIDDEN_REASON_LABELS[entry.reason] || entry.reason;
+
+            const undo = document.createElement('button');
+            undo.type = 'button';
+            undo.className = 'small-button';
+            undo.textContent = 'Undo';
+            // Re-read first: a tab may have hidden more titles since the popup opened
+            undo.addEventListener('click', () => {
+                chrome.storage.local.get(['hiddenTitles'], (result) => {
+                    const latest = result.hiddenTitles || {};
+                    delete latest[href];
+                    // Content scripts pick this up through storage.onChanged
+                    chrome.storage.local.set({ hiddenTitles: latest }, () => renderHiddenTitles(latest));
                 });
-            }
+            });
+
+            row.append(name, reason, undo);
+            return row;
+        }));
+    }
+
+    // --- Export ---
+    const exportScopeSelect = document.getElementById('exportScopeSelect');
+    const exportStatus = document.getElementById('exportStatus');
+
+    const EXPORT_COLUMNS = ['site', 'href', 'title', 'year', 'imdb_id', 'rating', 'votes', 'rt_rating', 'metacritic', 'genre', 'confidence', 'status', 'filtered', 'hidden', 'on_page'];
+
+    document.getElementById('exportCsvButton').addEventListener('click', () => exportPageData('csv'));
+    document.getElementById('exportJsonButton').addEventListener('click', () => exportPageData('json'));
+
+    function exportPageData(format) {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0]?.id) return;
+            chrome.tabs.sendMessage(tabs[0].id, { type: 'GET_PAGE_DATA', scope: exportScopeSelect.value }, (response) => {
+                if (chrome.runtime.lastError || !response?.success) {
+                    showExportStatus('Open a Prime Video or Netflix page first.');
+                    return;
+                }
+                if (response.rows.length === 0) {
+                    showExportStatus('No ratings on this page yet.');
+                    return;
+                }
+
+                const content = format === 'csv' ? toCsv(response.rows) : JSON.stringify(response.rows, null, 2);
+                const type = format === 'csv' ? 'text/csv' : 'application/json';
+                const date = new Date().toISOString().slice(0, 10);
+                downloadFile(`showrating-${response.site}-${date}.${format}`, content, type);
+                showExportStatus(`Exported ${response.rows.length} titles.`);
+            });
         });
     }
+
+    function toCsv(rows) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = rows.map(row => EXPORT_COLUMNS.map(col => escape(row[col])).join(','));
+        return [EXPORT_COLUMNS.join(','), ...lines].join('\n');
+    }
+
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function showExportStatus(text) {
+        exportStatus.textContent = text;
+        exportStatus.hidden = false;
+    }
+
+    // --- OMDb Quota ---
+    const quotaNotice = document.getElementById('quotaNotice');
+
+    chrome.storage.local.get(['omdbQuota'], (result) => {
+        const quota = result.omdbQuota;
+        // Status from a previous UTC day has already reset
+        if (!quota || quota.state === 'ok' || new Date(quota.resetsAt) <= new Date()) return;
+
+        const resetTime = new Date(quota.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        quotaNotice.textContent = quota.state === 'exhausted'
+            ? `Rating lookups paused until ${resetTime} (daily OMDb limit reached).`
+            : `OMDb budget nearly used (${quota.used}/${quota.budget}) — only exact-title lookups until ${resetTime}.`;
+        quotaNotice.hidden = false;
+    });
+
+    // --- Options Page ---
+    document.getElementById('optionsLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.runtime.openOptionsPage();
+    });
+
+    function collectSettings() {
+        return {
+            minRatingThreshold: parseFloat(slider.value),
+            minRtThreshold: parseInt(rtSlider.value),
+            minMetascoreThreshold: parseInt(mcSlider.value),
+            ghostOpacity: parseInt(opacitySlider.value),
+            badgeScale: parseFloat(scaleSlider.value),
+            showImdb: showImdbCheckbox.checked,
+            showRt: showRtCheckbox.checked,
+            showMetacritic: showMetacriticCheckbox.checked,
+            badgePosition: badgePositionSelect.value,
+            badgeLayout: badgeLayoutSelect.value,
+            badgeTheme: badgeThemeSelect.value,
+            ratingColors: ratingColorsCheckbox.checked,
+            filterRules: filterRules,
+            filterMode: filterModeSelect.value,
+            sortMode: sortSelect.value
+        };
+    }
+
+    /**
+     * Save the controls into the active profile; content scripts in every tab pick it up via storage.onChanged
+     */
+    function applySettings() {
+        if (!activeProfile) return;
+        settingsStore.saveProfile(activeProfile, collectSettings());
+    }
 });
@@ -0,0 +1,245 @@
+/**
+ * Settings Profiles - shared by popup.js and content-script.js
+ * Named profiles live in chrome.storage.sync so they follow the user across devices.
+ * Every tab reacts to storage.onChanged, so saving a profile (or switching) updates all open pages.
+ */
+
+(() => {
+    'use strict';
+
+    // Each profile is its own sync item ("profile:<name>") to stay under the 8 KB per-item quota
+    const PROFILE_PREFIX = 'profile:';
+    const ACTIVE_KEY = 'activeProfile';
+    const MIGRATED_KEY = 'profilesMigrated';   // chrome.storage.local - this device's legacy settings were moved to sync
+    const DEFAULT_PROFILE = 'Default';
+    const MAX_NAME_LENGTH = 40;
+    const EXPORT_VERSION = 1;
+
+    // Everything a profile carries; missing keys fall back to these
+    const DEFAULTS = {
+        minRatingThreshold: 0,
+        minRtThreshold: 0,
+        minMetascoreThreshold: 0,
+        ghostOpacity: 0,
+        badgeScale: 1,
+        showImdb: true,
+        showRt: false,
+        showMetacritic: false,
+        badgePosition: 'top-left',
+        badgeLayout: 'compact',
+        badgeTheme: 'dark',
+        ratingColors: false,
+        filterRules: [],
+        filterMode: 'ghost',
+        sortMode: 'off'
+    };
+
+    // Allowed values of the choice settings (the popup's <select> options); anything else falls back to DEFAULTS
+    const ENUMS = {
+        badgePosition: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'below'],
+        badgeLayout: ['compact', 'detailed'],
+        badgeTheme: ['dark', 'light', 'high-contrast'],
+        filterMode: ['ghost', 'collapse', 'highlight', 'blur'],
+        sortMode: ['off', 'imdb', 'rt', 'blended']
+    };
+
+    // Created next to the user's own settings on first run
+    const PRESETS = {
+        'Movie night': {
+            minRatingThreshold: 7,
+            ghostOpacity: 20,
+            showRt: true,
+            filterMode: 'collapse',
+            filterRules: [
+                { type: 'entityType', enabled: true, value: 'Movie' },
+                { type: 'minVotes', enabled: true, value: 10000 }
+            ],
+            sortMode: 'blended'
+        },
+        'Kids': {
+            filterRules: [
+                { type: 'genres', enabled: true, include: ['Animation', 'Family'], exclude: ['Horror', 'Thriller'] }
+            ]
+        },
+        'Just browsing': {
+            minRatingThreshold: 6.5,
+            showRt: true,
+            showMetacritic: true,
+            badgeLayout: 'detailed',
+            ratingColors: true,
+            filterMode: 'highlight'
+        }
+    };
+
+    const profileKey = (name) => PROFILE_PREFIX + name;
+
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const stringList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+    // Fields each rule type carries (see FILTER_RULES in content-script.js); false drops the rule
+    const RULE_FIELDS = {
+        minImdb: (rule) => isNumber(rule.value) && { value: rule.value },
+        minRt: (rule) => isNumber(rule.value) && { value: rule.value },
+        minMetascore: (rule) => isNumber(rule.value) && { value: rule.value },
+        minVotes: (rule) => isNumber(rule.value) && { value: rule.value },
+        yearRange: (rule) => ({ min: isNumber(rule.min) ? rule.min : null, max: isNumber(rule.max) ? rule.max : null }),
+        entityType: (rule) => typeof rule.value === 'string' && { value: rule.value },
+        genres: (rule) => ({ include: stringList(rule.include), exclude: stringList(rule.exclude) })
+    };
+
+    const cleanRule = (rule) => {
+        const fields = RULE_FIELDS[rule?.type]?.(rule);
+        return fields ? { type: rule.type, enabled: Boolean(rule.enabled), ...fields } : null;
+    };
+
+    // Unknown keys are dropped so imports can't smuggle arbitrary data into sync storage
+    const withDefaults = (settings) => {
+        const result = {};
+        for (const [key, fallback] of Object.entries(DEFAULTS)) {
+            const value = settings?.[key];
+            if (Array.isArray(fallback)) {
+                // filterRules, the only list setting
+                result[key] = Array.isArray(value) ? value.map(cleanRule).filter(Boolean) : [];
+            } else if (ENUMS[key]) {
+                result[key] = ENUMS[key].includes(value) ? value : fallback;
+            } else {
+                result[key] = typeof value === typeof fallback ? value : fallback;
+            }
+        }
+        return result;
+    };
+
+    const cleanName = (name) => String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+
+    const hasProfiles = (items) => Object.keys(items).some(key => key.startsWith(PROFILE_PREFIX));
+
+    // "Default" plus the presets, for a user with no profiles yet
+    const seedItems = (settings) => {
+        const items = { [profileKey(DEFAULT_PROFILE)]: withDefaults(settings) };
+        for (const [name, preset] of Object.entries(PRESETS)) {
+            items[profileKey(name)] = withDefaults({ ...DEFAULTS, ...preset });
+        }
+        return items;
+    };
+
+    /**
+     * Upgrade: the pre-profile settings in chrome.storage.local become "Default".
+     * Runs once per device and only if there are legacy settings - a fresh device
+     * that hasn't synced yet must not overwrite the profiles on their way down.
+     */
+    const migrateLegacySettings = async (items) => {
+        const { [MIGRATED_KEY]: migrated, ...legacy } = await chrome.storage.local.get([MIGRATED_KEY, ...Object.keys(DEFAULTS)]);
+        if (migrated || Object.keys(legacy).length === 0) return items;
+
+        let next = items;
+        if (!hasProfiles(items)) {
+            next = { ...seedItems(legacy), [ACTIVE_KEY]: DEFAULT_PROFILE };
+            await chrome.storage.sync.set(next);
+        }
+        await chrome.storage.local.set({ [MIGRATED_KEY]: true });
+        return next;
+    };
+
+    /**
+     * Presets are written the first time the user changes a profile rather than on first run,
+     * by which point sync has had its chance to bring down profiles from other devices
+     */
+    const ensureSeeded = async () => {
+        const items = await chrome.storage.sync.get(null);
+        if (!hasProfiles(items)) await chrome.storage.sync.set(seedItems({}));
+    };
+
+    /**
+     * { active, profiles: { name: settings } }
+     */
+    const loadProfiles = async () => {
+        let items = await chrome.storage.sync.get(null);
+        if (!items[ACTIVE_KEY]) items = await migrateLegacySettings(items);
+        if (!hasProfiles(items)) items = { ...seedItems({}), ...items };
+
+        const profiles = {};
+        for (const [key, value] of Object.entries(items)) {
+            if (key.startsWith(PROFILE_PREFIX)) profiles[key.slice(PROFILE_PREFIX.length)] = withDefaults(value);
+        }
+
+        // The active profile may have been deleted on another device
+        const active = profiles[items[ACTIVE_KEY]] ? items[ACTIVE_KEY] : Object.keys(profiles)[0];
+        return { active, profiles };
+    };
+
+    const loadActiveSettings = async () => {
+        const { active, profiles } = await loadProfiles();
+        return { name: active, settings: profiles[active] };
+    };
+
+    const saveProfile = async (name, settings) => {
+        await ensureSeeded();
+        await chrome.storage.sync.set({ [profileKey(name)]: withDefaults(settings) });
+    };
+
+    const setActiveProfile = (name) => chrome.storage.sync.set({ [ACTIVE_KEY]: name });
+
+    const deleteProfile = async (name) => {
+        await ensureSeeded();
+        await chrome.storage.sync.remove(profileKey(name));
+    };
+
+    const renameProfile = async (oldName, newName, wasActive) => {
+        await ensureSeeded();
+        const items = await chrome.storage.sync.get(profileKey(oldName));
+        const next = { [profileKey(newName)]: withDefaults(items[profileKey(oldName)]) };
+        if (wasActive) next[ACTIVE_KEY] = newName;
+        await chrome.storage.sync.set(next);
+        await chrome.storage.sync.remove(profileKey(oldName));
+    };
+
+    /**
+     * Whether a storage change touches the settings a page is currently using
+     */
+    const affectsActiveProfile = (changes, areaName, activeName) => {
+        if (areaName !== 'sync') return false;
+        return Boolean(changes[ACTIVE_KEY] || changes[profileKey(activeName)]);
+    };
+
+    const exportProfiles = async () => {
+        const { active, profiles } = await loadProfiles();
+        return JSON.stringify({ version: EXPORT_VERSION, activeProfile: active, profiles }, null, 2);
+    };
+
+    /**
+     * Merges profiles from an export; same-named profiles are overwritten. Returns the imported names.
+     */
+    const importProfiles = async (json) => {
+        const data = JSON.parse(json);
+        if (!data?.profiles || typeof data.profiles !== 'object' || Array.isArray(data.profiles)) {
+            throw new Error('Not a profile export');
+        }
+
+        const items = {};
+        for (const [rawName, settings] of Object.entries(data.profiles)) {
+            const name = cleanName(rawName);
+            if (name && settings && typeof settings === 'object') items[profileKey(name)] = withDefaults(settings);
+        }
+        const names = Object.keys(items).map(key => key.slice(PROFILE_PREFIX.length));
+        if (names.length === 0) throw new Error('No profiles in file');
+
+        await ensureSeeded();
+        await chrome.storage.sync.set(items);
+        return names;
+    };
+
+    globalThis.ShowRatingSettings = {
+        DEFAULTS,
+        DEFAULT_PROFILE,
+        cleanName,
+        loadProfiles,
+        loadActiveSettings,
+        saveProfile,
+        setActiveProfile,
+        deleteProfile,
+        renameProfile,
+        affectsActiveProfile,
+        exportProfiles,
+        importProfiles
+    };
+})();
@@ -5,12 +5,54 @@
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Content-Type': 'application/json'
 };
 
 const OMDB_BASE_URL = 'https://www.omdbapi.com';
+const WORKER_VERSION = '1.1.0';
+
+// OMDb free tier allows 1,000 calls/day; override with the OMDB_DAILY_BUDGET var
+const DEFAULT_DAILY_BUDGET = 1000;
+const QUOTA_LOW_RATIO = 0.1;    // Last 10% of the budget: no fallbacks, no refreshes
+const QUOTA_EXHAUSTED_ERROR = 'OMDb quota exhausted';
+
+// IMDb dataset title types matched for each Prime entity type
+const DATASET_TYPES = {
+    'Movie': ['movie', 'tvMovie'],
+    'TV Show': ['tvSeries', 'tvMiniSeries']
+};
+const ALL_DATASET_TYPES = ['movie', 'tvMovie', 'tvSeries', 'tvMiniSeries'];
+
+// Match scoring: weights sum to 1; confidence below ~0.7 is shown as uncertain by the extension
+const SCORE_WEIGHTS = { title: 0.55, year: 0.2, type: 0.15, votes: 0.1 };
+const YEAR_DISTANCE_SCORES = [1, 0.7, 0.3];
+const ENTITY_OMDB_TYPES = { 'Movie': 'movie', 'TV Show': 'series' };
+const SEARCH_CANDIDATES = 3;    // Search hits fetched in full for scoring
+
+// Errors that say nothing about the title itself - not logged as lookup failures
+const TRANSIENT_ERRORS = new Set([QUOTA_EXHAUSTED_ERROR, 'Missing href', 'Invalid site']);
+
+// Negative cache: "not found" results are retried after 1h, 2h, 4h ... up to 30 days
+const NOT_FOUND_ERRORS = new Set(['OMDb Not Found', 'Not found in IMDb dataset']);
+const MISS_BACKOFF_BASE = 60 * 60 * 1000;
+const MISS_BACKOFF_MAX = 30 * 24 * 60 * 60 * 1000;
+
+// Editable movies columns for PATCH /admin/movies
+const ADMIN_EDITABLE_FIELDS = ['imdb_id', 'title', 'year', 'release_date', 'rating', 'rt_rating', 'metacritic', 'votes', 'genre', 'confidence', 'pinned'];
+
+// Sources written back to the movies table
+const PERSISTED_SOURCES = new Set(['api', 'api-refresh', 'dataset', 'dataset-refresh']);
+
+// Scheduled refresh: OMDb calls per cron run (cron invocations allow 50 subrequests)
+const DEFAULT_REFRESH_BUDGET = 40;
+const REFRESH_QUOTA_FLOOR = 0.5;  // Cron stops once half the day's budget is used; the rest is for viewers
+const REFRESH_SCAN_LIMIT = 200;
+
+// Edge cache (Workers Cache API) in front of D1; capped so admin edits and cron refreshes show up within an hour
+const EDGE_CACHE_PATH = '/__edge-cache/movies/';
+const EDGE_CACHE_MAX_TTL = 60 * 60 * 1000;
 
 const TTL = {
     RECENT: 60 * 60 * 1000,           // 1 hour
@@ -24,24 +66,70 @@ export default {
             return new Response(null, { headers: corsHeaders });
         }
 
+        const url = new URL(request.url);
+
+        if (request.method === 'GET' && url.pathname.endsWith('/health')) {
+            return handleHealthCheck(env, url);
+        }
+
+        if (url.pathname.includes('/admin/')) {
+            return handleAdmin(request, url, env, ctx);
+        }
+
         if (request.method !== 'POST') {
             return jsonResponse({ error: 'Method not allowed' }, 405);
         }
 
-        const url = new URL(request.url);
-
         if (url.pathname.endsWith('/batch')) {
-            return handleBatchLookup(request, env);
+            return handleBatchLookup(request, env, ctx);
+        }
+
+        if (url.pathname.endsWith('/episodes')) {
+            return handleEpisodeLookup(request, env);
         }
 
         return jsonResponse({ error: 'Not found' }, 404);
+    },
+
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil(refreshStaleRows(env));
     }
 };
 
+/**
+ * Health/version check used by the extension's options page
+ */
+async function handleHealthCheck(env, url) {
+    let d1 = false;
+    let d1Error = null;
+    try {
+        // Naming site_id fails on a database that still needs upgrade.sql
+        await env.DB.prepare('SELECT site_id FROM movies LIMIT 1').first();
+        d1 = true;
+    } catch (e) {
+        d1Error = e.message;
+    }
+
+    const omdbKey = Boolean(env.OMDB_API_KEY);
+    const quota = d1 ? await loadQuota(env) : null;
+    const dataset = d1 ? await hasDataset(env) : false;
+
+    return jsonResponse({
+        ok: d1 && (omdbKey || dataset),
+        version: WORKER_VERSION,
+        d1,
+        d1Error,
+        omdbKey,
+        dataset,
+        edgeCache: isEdgeCacheAvailable(url.origin),
+        quota: quota ? quotaStatus(quota) : null
+    });
+}
+
 /**
  * Handle batch movie lookups
  */
-async function handleBatchLookup(request, env) {
+async function handleBatchLookup(request, env, ctx) {
     try {
         const body = await request.json();
         const { movies } = body;
@@ -50,31 +138,51 @@ async function handleBatchLookup(request, env) {
             return jsonResponse({ error: 'Invalid payload' }, 400);
         }
 
-        // 1. Batch D1 Lookup
-        const hrefs = [...new Set(movies.map(m => m.href).filter(Boolean))];
-        let cachedMap = new Map();
+        // Cache key is site-qualified: "prime:/detail/B0ABC", "netflix:/title/80100172"
+        movies.forEach(movie => {
+            movie.siteId = siteIdFor(movie);
+        });
 
-        if (hrefs.length > 0) {
-            const placeholders = hrefs.map(() => '?').join(',');
-            const cachedRows = await env.DB.prepare(`SELECT * FROM movies WHERE prime_href IN (${placeholders})`)
-                .bind(...hrefs)
+        // 1. Edge cache, then one batch D1 lookup for the rest
+        const origin = new URL(request.url).origin;
+        const siteIds = [...new Set(movies.map(m => m.siteId).filter(Boolean))];
+        const cachedMap = await readEdgeCache(origin, siteIds);
+        const d1Ids = siteIds.filter(id => !cachedMap.has(id));
+
+        if (d1Ids.length > 0) {
+            const placeholders = d1Ids.map(() => '?').join(',');
+            const cachedRows = await env.DB.prepare(`SELECT * FROM movies WHERE site_id IN (${placeholders})`)
+                .bind(...d1Ids)
                 .all();
 
             if (cachedRows.results) {
                 cachedRows.results.forEach(row => {
-                    cachedMap.set(row.prime_href, row);
+                    cachedMap.set(row.site_id, row);
                 });
+                writeEdgeCache(origin, cachedRows.results, ctx);
             }
+
+            // Known misses, so titles OMDb can't find don't re-run the fallback chain on every view
+            const unknownIds = d1Ids.filter(id => !cachedMap.has(id));
+            const missMap = unknownIds.length > 0 ? await loadMisses(env, unknownIds) : new Map();
+            movies.forEach(movie => {
+                movie.miss = missMap.get(movie.siteId) || null;
+            });
         }
 
+        // Removed overrides: drop the pinned row so the title is matched from scratch
+        await clearOverrides(movies, cachedMap, env, origin, ctx);
+
         // 2. Process movies (Cache check -> OMDb fetch if needed)
+        const quota = await loadQuota(env);
         const updates = [];
         const settled = await Promise.allSettled(
             movies.map(async (movie) => {
-                const cached = cachedMap.get(movie.href);
-                const result = await processMovieLogic(movie, cached, env);
+                const cached = cachedMap.get(movie.siteId);
+                const result = await processMovieLogic(movie, cached, env, quota);
 
-                if (result.source === 'api' && result.data) {
+                // TTL refreshes are saved too, otherwise every later request would refresh again
+                if (PERSISTED_SOURCES.has(result.source) && result.data) {
                     updates.push(result.data);
                 }
                 return result;
@@ -88,45 +196,189 @@ async function handleBatchLookup(request, env) {
         if (updates.length > 0) {
             const statements = updates.map(data => {
                 return env.DB.prepare(`
-                    INSERT INTO movies (imdb_id, title, year, release_date, prime_href, rating, rt_rating, votes, updated_at)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    ON CONFLICT(prime_href) DO UPDATE SET
+                    INSERT INTO movies (imdb_id, title, year, release_date, site_id, rating, rt_rating, metacritic, votes, genre, confidence, pinned, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    ON CONFLICT(site_id) DO UPDATE SET
                         imdb_id = excluded.imdb_id,
+                        year = excluded.year,
+                        release_date = excluded.release_date,
                         rating = excluded.rating,
                         rt_rating = excluded.rt_rating,
+                        metacritic = excluded.metacritic,
                         votes = excluded.votes,
+                        genre = excluded.genre,
+                        confidence = excluded.confidence,
+                        pinned = excluded.pinned,
                         updated_at = excluded.updated_at
                 `).bind(
                     data.imdb_id,
                     data.title,
                     data.year,
                     data.release_date,
-                    data.prime_href,
+                    data.site_id,
                     data.rating,
                     data.rt_rating,
+                    data.metacritic ?? null,
                     data.votes,
+                    data.genre ?? null,
+                    data.confidence ?? null,
+                    data.pinned ? 1 : 0,
                     data.updated_at
                 );
             });
             await env.DB.batch(statements);
+            writeEdgeCache(origin, updates, ctx);
         }
 
-        return jsonResponse({ results });
+        await saveQuota(env, quota);
+        await recordLookupStats(env, quota.day, movies, results);
+
+        return jsonResponse({ results, quota: quotaStatus(quota) });
     } catch (error) {
         console.error('Batch lookup error:', error);
         return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
     }
 }
 
-async function processMovieLogic(movie, cached, env) {
-    let { title, href, entityType, verificationRating, year } = movie;
+/**
+ * Delete pinned rows for movies sent with clearOverride (the user removed their match override)
+ */
+async function clearOverrides(movies, cachedMap, env, origin, ctx) {
+    const siteIds = movies
+        .filter(movie => movie.clearOverride && !movie.overrideImdbId && cachedMap.get(movie.siteId)?.pinned)
+        .map(movie => movie.siteId);
+    if (siteIds.length === 0) return;
+
+    await env.DB.batch(siteIds.map(siteId =>
+        env.DB.prepare('DELETE FROM movies WHERE site_id = ? AND pinned = 1').bind(siteId)
+    ));
+    siteIds.forEach(siteId => cachedMap.delete(siteId));
+    purgeEdgeCache(origin, siteIds, ctx);
+}
+
+/**
+ * Handle per-season episode rating lookups (series detail pages)
+ */
+async function handleEpisodeLookup(request, env) {
+    try {
+        const body = await request.json();
+        const { seriesImdbId } = body;
+        const season = parseInt(body.season);
+
+        if (!seriesImdbId || !/^tt\d+$/.test(seriesImdbId) || !season) {
+            return jsonResponse({ error: 'Invalid payload' }, 400);
+        }
+
+        // 1. D1 Lookup - the whole season is served from cache only if every episode is fresh
+        const cachedRows = await env.DB.prepare(
+            'SELECT * FROM episode_ratings WHERE series_imdb_id = ? AND season = ? ORDER BY episode'
+        ).bind(seriesImdbId, season).all();
+        const cached = cachedRows.results || [];
+
+        if (cached.length > 0 && !cached.some(row => isDataStale(row.release_date, row.updated_at))) {
+            return jsonResponse({ seriesImdbId, season, episodes: cached.map(formatEpisode), source: 'cache' });
+        }
+
+        // Near the budget, stale episodes are good enough
+        const quota = await loadQuota(env);
+        if (cached.length > 0 && isQuotaLow(quota)) {
+            return jsonResponse({ seriesImdbId, season, episodes: cached.map(formatEpisode), source: 'cache-stale', quota: quotaStatus(quota) });
+        }
+
+        // 2. OMDb Season lookup
+        let seasonData = null;
+        try {
+            seasonData = await fetchOMDbSeason(seriesImdbId, season, quota);
+        } catch (e) {
+            console.error(`[Episode Error] Season lookup failed for ${seriesImdbId} S${season}:`, e);
+        }
+        await saveQuota(env, quota);
+
+        if (!seasonData || !Array.isArray(seasonData.Episodes)) {
+            if (cached.length > 0) {
+                return jsonResponse({ seriesImdbId, season, episodes: cached.map(formatEpisode), source: 'cache-stale', quota: quotaStatus(quota) });
+            }
+            const error = isQuotaExhausted(quota) ? QUOTA_EXHAUSTED_ERROR : 'OMDb Not Found';
+            return jsonResponse({ seriesImdbId, season, episodes: [], error, quota: quotaStatus(quota) });
+        }
+
+        const updatedAt = new Date().toISOString();
+        const episodes = seasonData.Episodes
+            .map(ep => ({
+                series_imdb_id: seriesImdbId,
+                season,
+                episode: parseInt(ep.Episode),
+                title: ep.Title || null,
+                rating: parseFloat(ep.imdbRating) || null,
+                votes: null, // Season endpoint does not report per-episode votes
+                release_date: parseReleaseDate(ep.Released),
+                updated_at: updatedAt
+            }))
+            .filter(ep => ep.episode);
+
+        // 3. Batch D1 Saves
+        if (episodes.length > 0) {
+            const statements = episodes.map(ep => env.DB.prepare(`
+                INSERT INTO episode_ratings (series_imdb_id, season, episode, title, rating, votes, release_date, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(series_imdb_id, season, episode) DO UPDATE SET
+                    title = excluded.title,
+                    rating = excluded.rating,
+                    release_date = excluded.release_date,
+                    updated_at = excluded.updated_at
+            `).bind(
+                ep.series_imdb_id,
+                ep.season,
+                ep.episode,
+                ep.title,
+                ep.rating,
+                ep.votes,
+                ep.release_date,
+                ep.updated_at
+            ));
+            await env.DB.batch(statements);
+        }
+
+        return jsonResponse({ seriesImdbId, season, episodes: episodes.map(formatEpisode), source: 'api', quota: quotaStatus(quota) });
+    } catch (error) {
+        console.error('Episode lookup error:', error);
+        return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+    }
+}
+
+function formatEpisode(row) {
+    return {
+        episode: row.episode,
+        title: row.title,
+        rating: row.rating,
+        votes: row.votes
+    };
+}
+
+async function processMovieLogic(movie, cached, env, quota) {
+    let { title, href, siteId, entityType, verificationRating, year, overrideImdbId } = movie;
     if (!href) return { href, error: 'Missing href' };
+    if (!siteId) return { href, error: 'Invalid site' };
+
+    // User override: resolve straight by IMDb ID and pin the row
+    if (overrideImdbId) {
+        return resolveOverride(href, siteId, overrideImdbId, title, cached, env, quota);
+    }
+
+    // Negative cache: a verification rating or override always gets a fresh attempt
+    if (!cached && movie.miss && !verificationRating && isMissFresh(movie.miss)) {
+        return { href, error: movie.miss.error, source: 'miss-cache' };
+    }
 
     // Standardize year
     if (year) year = parseInt(year);
 
     if (cached) {
         if (!isDataStale(cached.release_date, cached.updated_at)) {
+            // Pinned rows are trusted - never re-resolved on a verification mismatch
+            if (cached.pinned) {
+                return { href, data: cached, source: 'cache', debug: 'pinned' };
+            }
             // Check verification mismatch if provided
             if (verificationRating) {
                 const cachedRating = parseFloat(cached.rating);
@@ -144,28 +396,8 @@ async function processMovieLogic(movie, cached, env) {
         } else {
             // TTL expired - refresh using cached imdb_id if available
             if (cached.imdb_id) {
-                try {
-                    const refreshed = await fetchOMDbById(cached.imdb_id, env.OMDB_API_KEY);
-                    if (refreshed && refreshed.imdbRating && refreshed.imdbRating !== 'N/A') {
-                        const rtRating = extractRottenTomatoes(refreshed.Ratings);
-                        const movieData = {
-                            imdb_id: refreshed.imdbID,
-                            title: cached.title,
-                            year: parseInt(refreshed.Year) || cached.year,
-                            release_date: parseReleaseDate(refreshed.Released) || cached.release_date,
-                            prime_href: href,
-                            rating: parseFloat(refreshed.imdbRating) || cached.rating,
-                            rt_rating: rtRating || cached.rt_rating,
-                            votes: parseInt((refreshed.imdbVotes || '0').replace(/,/g, '')) || cached.votes,
-                            updated_at: new Date().toISOString()
-                        };
-                        return { href, data: movieData, source: 'api-refresh' };
-                    }
-                } catch (e) {
-                    console.error(`[TTL Refresh Error] ID lookup failed for ${cached.imdb_id}:`, e);
-                }
-                // If ID lookup fails, return stale cache rather than doing title search
-                return { href, data: cached, source: 'cache-stale' };
+                // If the ID lookup fails, stale cache is returned rather than doing a title search
+                return { href, ...(await refreshCachedRow(cached, env, quota)) };
             }
         }
 
@@ -185,11 +417,29 @@ async function processMovieLogic(movie, cached, env) {
     }
     title = title.replace(/\s*(?:\([^)]*\)|\[[^\]]*\])\s*$/, '').trim() || title;
 
+    // Step 0: Imported IMDb dataset (no OMDb call)
+    const datasetRow = await findDatasetTitle(title, year, entityType, env);
+    if (datasetRow && (!verificationRating || Math.abs(datasetRow.average_rating - parseFloat(verificationRating)) < 0.2)) {
+        const movieData = datasetToMovieData(datasetRow, title, siteId, await datasetImportedAt(env));
+        movieData.confidence = verificationRating ? 1 : scoreCandidate(datasetCandidate(datasetRow), { title, year, entityType });
+        await enrichFromOMDb(movieData, quota);
+        return { href, data: movieData, source: 'dataset' };
+    }
+
+    if (!quota.apiKey) return { href, error: 'Not found in IMDb dataset' };
+
+    // Verification mismatch or stale row without an ID - re-resolving is the expensive path
+    if (cached && isQuotaLow(quota)) return { href, data: cached, source: 'cache-stale', debug: 'quota' };
+    if (isQuotaExhausted(quota)) return { href, error: QUOTA_EXHAUSTED_ERROR };
+
+    // Near the budget only the single exact-title lookup is attempted
+    const allowFallbacks = !isQuotaLow(quota);
+
     try {
         let omdbResult = null;
 
         // Step 1: Try title lookup with cleaned title AND year if available
-        omdbResult = await fetchOMDbTitle(title, year, env.OMDB_API_KEY);
+        omdbResult = await fetchOMDbTitle(title, year, quota);
 
         // Validation
         if (omdbResult) {
@@ -213,38 +463,40 @@ async function processMovieLogic(movie, cached, env) {
             if (!omdbResult) needsFallback = true;
         }
 
+        if (!allowFallbacks) needsFallback = false;
+
         if (needsFallback) {
             // Step 2: Ampersand replacement (Common fallback)
             if (title.includes('&')) {
                 const altTitle = title.replace(/&/g, ' and ').replace(/\s+/g, ' ').trim();
-                omdbResult = await fetchOMDbTitle(altTitle, year, env.OMDB_API_KEY);
+                omdbResult = await fetchOMDbTitle(altTitle, year, quota);
                 if (omdbResult && !isValidResult(omdbResult, entityType)) omdbResult = null;
             }
         }
 
         // Step 3: Search API Fallback
         if (!omdbResult && needsFallback) {
-            omdbResult = await fetchOMDbSearch(title, year, env.OMDB_API_KEY);
+            omdbResult = await fetchOMDbSearch(title, year, entityType, quota);
         }
 
         // Step 4: Special Character Truncation (The Critical Split Logic)
-        if (!omdbResult || (verificationRating && Math.abs(parseFloat(omdbResult.imdbRating) - parseFloat(verificationRating)) >= 0.2)) {
+        if (allowFallbacks && (!omdbResult || (verificationRating && Math.abs(parseFloat(omdbResult.imdbRating) - parseFloat(verificationRating)) >= 0.2))) {
             const specialCharMatch = title.match(/[-:&]/);
             if (specialCharMatch) {
                 if (verificationRating) {
                     // Reverse Fallback for Verification Mismatch
                     const reverseTitle = title.substring(specialCharMatch.index + 1).trim();
                     if (reverseTitle.length > 2) {
-                        omdbResult = await fetchOMDbTitle(reverseTitle, year, env.OMDB_API_KEY);
+                        omdbResult = await fetchOMDbTitle(reverseTitle, year, quota);
                         if (!omdbResult) {
-                            omdbResult = await fetchOMDbSearch(reverseTitle, year, env.OMDB_API_KEY);
+                            omdbResult = await fetchOMDbSearch(reverseTitle, year, entityType, quota);
                         }
                     }
                 } else {
                     // Standard Fallback
                     const truncatedTitle = title.substring(0, specialCharMatch.index).trim();
                     if (truncatedTitle.length > 2) {
-                        omdbResult = await fetchOMDbSearch(truncatedTitle, year, env.OMDB_API_KEY);
+                        omdbResult = await fetchOMDbSearch(truncatedTitle, year, entityType, quota);
                     }
                 }
             }
@@ -252,6 +504,11 @@ async function processMovieLogic(movie, cached, env) {
 
         if (!omdbResult) return { href, error: 'OMDb Not Found' };
 
+        // Scored against the full title, so a truncated or reversed fallback match shows up as uncertain.
+        // Prime's own rating agreeing with the match is as good as it gets.
+        const verified = verificationRating && Math.abs(parseFloat(omdbResult.imdbRating) - parseFloat(verificationRating)) < 0.2;
+        const confidence = verified ? 1 : scoreCandidate(omdbResult, { title, year, entityType });
+
         const rtRating = extractRottenTomatoes(omdbResult.Ratings);
 
         const movieData = {
@@ -259,10 +516,13 @@ async function processMovieLogic(movie, cached, env) {
             title: title,
             year: parseInt(omdbResult.Year) || 0,
             release_date: parseReleaseDate(omdbResult.Released),
-            prime_href: href,
+            site_id: siteId,
             rating: parseFloat(omdbResult.imdbRating) || 0,
             rt_rating: rtRating,
+            metacritic: extractMetacritic(omdbResult),
             votes: parseInt((omdbResult.imdbVotes || '0').replace(/,/g, '')) || 0,
+            genre: extractGenre(omdbResult),
+            confidence,
             updated_at: new Date().toISOString()
         };
 
@@ -273,6 +533,133 @@ async function processMovieLogic(movie, cached, env) {
     }
 }
 
+/**
+ * Refresh a stale row by its IMDb ID - OMDb (skipped when omdb is false), or the imported dataset
+ * when it is newer than the row. Recent releases (1 hour / 1 day tiers) only use the dataset when
+ * OMDb can't be called; stable titles use it first to save calls.
+ */
+async function refreshCachedRow(cached, env, quota, omdb = true) {
+    const release = new Date(cached.release_date).getTime();
+    const recent = isNaN(release) || ttlFor(release) < TTL.STABLE;
+    const canCallOMDb = omdb && quota.apiKey && !isQuotaLow(quota);
+
+    if (!recent || !canCallOMDb) {
+        const fromDataset = await refreshFromDataset(cached, env);
+        if (fromDataset) return fromDataset;
+    }
+
+    // Near the budget, refreshes wait for tomorrow
+    if (!omdb || !quota.apiKey) return { data: cached, source: 'cache-stale' };
+    if (isQuotaLow(quota)) return { data: cached, source: 'cache-stale', debug: 'quota' };
+    try {
+        const refreshed = await fetchOMDbById(cached.imdb_id, quota);
+        if (refreshed && refreshed.imdbRating && refreshed.imdbRating !== 'N/A') {
+            const rtRating = extractRottenTomatoes(refreshed.Ratings);
+            const movieData = {
+                imdb_id: refreshed.imdbID,
+                title: cached.title,
+                year: parseInt(refreshed.Year) || cached.year,
+                release_date: parseReleaseDate(refreshed.Released) || cached.release_date,
+                site_id: cached.site_id,
+                rating: parseFloat(refreshed.imdbRating) || cached.rating,
+                rt_rating: rtRating || cached.rt_rating,
+                metacritic: extractMetacritic(refreshed) ?? cached.metacritic ?? null,
+                votes: parseInt((refreshed.imdbVotes || '0').replace(/,/g, '')) || cached.votes,
+                genre: extractGenre(refreshed) || cached.genre || null,
+                confidence: cached.confidence ?? null,
+                pinned: cached.pinned || 0,
+                updated_at: new Date().toISOString()
+            };
+            return { data: movieData, source: 'api-refresh' };
+        }
+    } catch (e) {
+        console.error(`[TTL Refresh Error] ID lookup failed for ${cached.imdb_id}:`, e);
+    }
+    return { data: cached, source: 'cache-stale' };
+}
+
+/**
+ * Dataset rating for a stale row, or null when the last import is no newer than the row.
+ * RT and Metacritic carry over; updated_at becomes the import time, so the row stays as stale
+ * as its data and the next refresh goes to OMDb.
+ */
+async function refreshFromDataset(cached, env) {
+    const importedAt = await datasetImportedAt(env);
+    const updatedAt = new Date(cached.updated_at).getTime();
+    if (!importedAt || (!isNaN(updatedAt) && importedAt <= updatedAt)) return null;
+
+    const datasetRow = await findDatasetById(cached.imdb_id, env);
+    if (!datasetRow) return null;
+
+    const movieData = {
+        ...datasetToMovieData(datasetRow, cached.title, cached.site_id, importedAt),
+        release_date: cached.release_date,
+        rt_rating: cached.rt_rating,
+        metacritic: cached.metacritic ?? null,
+        genre: cached.genre || formatDatasetGenres(datasetRow.genres),
+        confidence: cached.confidence ?? null,
+        pinned: cached.pinned || 0
+    };
+    return { data: movieData, source: 'dataset-refresh' };
+}
+
+/**
+ * Site-qualified cache key; requests without a site come from Prime-only clients
+ */
+function siteIdFor(movie) {
+    if (!movie.href) return null;
+    const site = movie.site || 'prime';
+    if (!/^[a-z0-9-]+$/.test(site)) return null;
+    return `${site}:${movie.href}`;
+}
+
+/**
+ * Resolve a user-pinned IMDb ID for an href (skips all title matching)
+ */
+async function resolveOverride(href, siteId, imdbId, title, cached, env, quota) {
+    if (!/^tt\d+$/.test(imdbId)) return { href, error: 'Invalid override IMDb ID' };
+
+    if (cached && cached.pinned && cached.imdb_id === imdbId && !isDataStale(cached.release_date, cached.updated_at)) {
+        return { href, data: cached, source: 'cache', debug: 'pinned' };
+    }
+
+    const datasetRow = await findDatasetById(imdbId, env);
+    if (datasetRow) {
+        const movieData = datasetToMovieData(datasetRow, title || (cached && cached.title) || datasetRow.primary_title, siteId, await datasetImportedAt(env));
+        movieData.confidence = 1;
+        movieData.pinned = 1;
+        await enrichFromOMDb(movieData, quota);
+        return { href, data: movieData, source: 'dataset' };
+    }
+
+    try {
+        const omdbResult = await fetchOMDbById(imdbId, quota);
+        if (!omdbResult) return { href, error: 'OMDb Not Found' };
+
+        const movieData = {
+            imdb_id: omdbResult.imdbID,
+            title: title || (cached && cached.title) || omdbResult.Title,
+            year: parseInt(omdbResult.Year) || 0,
+            release_date: parseReleaseDate(omdbResult.Released),
+            site_id: siteId,
+            rating: parseFloat(omdbResult.imdbRating) || 0,
+            rt_rating: extractRottenTomatoes(omdbResult.Ratings),
+            metacritic: extractMetacritic(omdbResult),
+            votes: parseInt((omdbResult.imdbVotes || '0').replace(/,/g, '')) || 0,
+            genre: extractGenre(omdbResult),
+            confidence: 1, // Chosen by the user
+            pinned: 1,
+            updated_at: new Date().toISOString()
+        };
+
+        return { href, data: movieData, source: 'api' };
+    } catch (e) {
+        console.error(`[Override Error] ID lookup failed for ${imdbId}:`, e);
+        if (cached) return { href, data: cached, source: 'cache-stale' };
+        return { href, error: e.message };
+    }
+}
+
 /**
  * Validate OMDb result: type must match Prime entity type AND rating must not be N/A
  */
@@ -301,58 +688,807 @@ function isValidResult(omdbResult, primeEntityType) {
 
 function isDataStale(releaseDateStr, updatedAtStr) {
     if (!releaseDateStr) return true;
-    const now = Date.now();
     const lastUpdate = new Date(updatedAtStr).getTime();
     const release = new Date(releaseDateStr).getTime();
     if (isNaN(lastUpdate) || isNaN(release)) return true;
-    const daysSinceRelease = (now - release) / (1000 * 60 * 60 * 24);
-    const timeSinceUpdate = now - lastUpdate;
-    if (daysSinceRelease <= 7) return timeSinceUpdate > TTL.RECENT;
-    if (daysSinceRelease <= 14) return timeSinceUpdate > TTL.MEDIUM;
-    return timeSinceUpdate > TTL.STABLE;
+    return Date.now() - lastUpdate > ttlFor(release);
+}
+
+/**
+ * TTL tier by release date (ms timestamp): recent releases change fastest
+ */
+function ttlFor(release) {
+    const daysSinceRelease = (Date.now() - release) / (1000 * 60 * 60 * 24);
+    if (daysSinceRelease <= 7) return TTL.RECENT;
+    if (daysSinceRelease <= 14) return TTL.MEDIUM;
+    return TTL.STABLE;
+}
+
+// OMDb query string -> Promise of the parsed response, while the call is in flight
+const inflightOMDb = new Map();
+
+/**
+ * Single metered OMDb call - every API request goes through here
+ */
+async function omdbRequest(params, quota) {
+    if (!quota.apiKey) throw new Error('OMDB_API_KEY not set');
+    if (isQuotaExhausted(quota)) throw new Error(QUOTA_EXHAUSTED_ERROR);
+
+    // Identical lookups already in flight in this isolate share one call (and one quota unit)
+    const key = params.toString();
+    let pending = inflightOMDb.get(key);
+    if (!pending) {
+        quota.calls++;
+        params.set('apikey', quota.apiKey);
+        pending = fetch(`${OMDB_BASE_URL}/?${params}`)
+            .then(res => res.json())
+            .finally(() => inflightOMDb.delete(key));
+        inflightOMDb.set(key, pending);
+    }
+    const data = await pending;
+
+    // OMDb's own counter disagrees with ours - trust it until the day rolls over
+    if (data.Response === 'False' && /limit reached/i.test(data.Error || '')) {
+        quota.limitReached = true;
+    }
+    return data;
 }
 
 /**
  * OMDb Title Lookup (exact match)
  */
-async function fetchOMDbTitle(title, year, apiKey) {
-    const params = new URLSearchParams({ apikey: apiKey, t: title });
+async function fetchOMDbTitle(title, year, quota) {
+    const params = new URLSearchParams({ t: title });
     if (year) params.append('y', year);
-    const res = await fetch(`${OMDB_BASE_URL}/?${params}`);
-    const data = await res.json();
+    const data = await omdbRequest(params, quota);
     return data.Response === 'True' ? data : null;
 }
 
 /**
  * OMDb ID Lookup (direct by IMDb ID - most reliable)
  */
-async function fetchOMDbById(imdbId, apiKey) {
-    const params = new URLSearchParams({ apikey: apiKey, i: imdbId });
-    const res = await fetch(`${OMDB_BASE_URL}/?${params}`);
-    const data = await res.json();
+async function fetchOMDbById(imdbId, quota) {
+    const params = new URLSearchParams({ i: imdbId });
+    const data = await omdbRequest(params, quota);
+    return data.Response === 'True' ? data : null;
+}
+
+/**
+ * OMDb Season Lookup (all episodes of one season of a series)
+ */
+async function fetchOMDbSeason(seriesImdbId, season, quota) {
+    const params = new URLSearchParams({ i: seriesImdbId, Season: season });
+    const data = await omdbRequest(params, quota);
     return data.Response === 'True' ? data : null;
 }
 
 /**
- * OMDb Search API - returns first result with full details
+ * OMDb Search API - scores the results and returns the best candidate with full details
  */
-async function fetchOMDbSearch(title, year, apiKey) {
-    const params = new URLSearchParams({ apikey: apiKey, s: title });
+async function fetchOMDbSearch(title, year, entityType, quota) {
+    const params = new URLSearchParams({ s: title });
     if (year) params.append('y', year);
-    const res = await fetch(`${OMDB_BASE_URL}/?${params}`);
-    const data = await res.json();
+    const data = await omdbRequest(params, quota);
 
     if (data.Response !== 'True' || !data.Search || data.Search.length === 0) {
         return null;
     }
 
-    // Get the first result's IMDb ID and fetch full details
-    const firstResult = data.Search[0];
-    const detailParams = new URLSearchParams({ apikey: apiKey, i: firstResult.imdbID });
-    const detailRes = await fetch(`${OMDB_BASE_URL}/?${detailParams}`);
-    const detailData = await detailRes.json();
+    // Each detail fetch is a call of its own - fetch only what the remaining budget allows
+    const size = Math.min(isQuotaLow(quota) ? 1 : SEARCH_CANDIDATES, quotaRemaining(quota));
+    if (size <= 0) return null;
+
+    // Search hits carry no votes: shortlist on title/year/type, then rescore the full details
+    const target = { title, year, entityType };
+    const shortlist = data.Search
+        .map(candidate => ({ candidate, score: scoreCandidate(candidate, target) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, size);
+
+    // One failed detail fetch shouldn't discard the others
+    const details = await Promise.allSettled(shortlist.map(({ candidate }) => fetchOMDbById(candidate.imdbID, quota)));
+
+    let best = null;
+    let bestScore = -1;
+    details.forEach(({ status, value: result, reason }) => {
+        if (status === 'rejected') {
+            console.error('[OMDb Error] Search candidate lookup failed:', reason);
+            return;
+        }
+        if (!result || !isValidResult(result, entityType)) return;
+        const score = scoreCandidate(result, target);
+        if (score > bestScore) {
+            best = result;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// ============================================
+// MATCH SCORING
+// ============================================
+
+/**
+ * 0-1 confidence that an OMDb result (or search hit) is the title the card meant
+ */
+function scoreCandidate(candidate, { title, year, entityType }) {
+    const titleScore = titleSimilarity(candidate.Title || '', title);
+
+    // Unknown year or type neither helps nor rules a candidate out
+    let yearScore = 0.5;
+    const candidateYear = parseInt(candidate.Year);
+    if (year && candidateYear) {
+        yearScore = YEAR_DISTANCE_SCORES[Math.abs(candidateYear - year)] ?? 0;
+    }
+
+    let typeScore = 0.5;
+    const expectedType = ENTITY_OMDB_TYPES[entityType];
+    if (expectedType && candidate.Type) {
+        typeScore = candidate.Type.toLowerCase() === expectedType ? 1 : 0;
+    }
+
+    // Search hits have no votes; 1M+ votes counts as fully established
+    const votes = parseInt(String(candidate.imdbVotes || '0').replace(/,/g, '')) || 0;
+    const votesScore = Math.min(1, Math.log10(votes + 1) / 6);
+
+    const score = titleScore * SCORE_WEIGHTS.title +
+        yearScore * SCORE_WEIGHTS.year +
+        typeScore * SCORE_WEIGHTS.type +
+        votesScore * SCORE_WEIGHTS.votes;
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * Dice coefficient over character bigrams of the normalized titles
+ */
+function titleSimilarity(a, b) {
+    const x = normalizeTitle(a);
+    const y = normalizeTitle(b);
+    if (x === y) return x ? 1 : 0;
+    if (x.length < 2 || y.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < x.length - 1; i++) {
+        const gram = x.slice(i, i + 2);
+        bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < y.length - 1; i++) {
+        const gram = y.slice(i, i + 2);
+        const count = bigrams.get(gram);
+        if (count) {
+            overlap++;
+            bigrams.set(gram, count - 1);
+        }
+    }
+    return (2 * overlap) / (x.length + y.length - 2);
+}
+
+// ============================================
+// EDGE CACHE
+// ============================================
+
+// Synthetic same-origin URL per row; the Cache API is per data center
+function edgeCacheKey(origin, siteId) {
+    return new Request(`${origin}${EDGE_CACHE_PATH}${encodeURIComponent(siteId)}`);
+}
+
+// caches.default silently does nothing on *.workers.dev - only a custom domain gets an edge cache
+function isEdgeCacheAvailable(origin) {
+    return !new URL(origin).hostname.endsWith('.workers.dev');
+}
+
+async function readEdgeCache(origin, siteIds) {
+    const found = new Map();
+    if (!isEdgeCacheAvailable(origin)) return found;
+    await Promise.all(siteIds.map(async (siteId) => {
+        try {
+            const res = await caches.default.match(edgeCacheKey(origin, siteId));
+            if (res) found.set(siteId, await res.json());
+        } catch (e) {
+            console.error('[Edge Cache Error] Read failed:', e);
+        }
+    }));
+    return found;
+}
+
+/**
+ * Store rows until isDataStale would flag them (at most EDGE_CACHE_MAX_TTL); stale rows are left to D1
+ */
+function writeEdgeCache(origin, rows, ctx) {
+    if (!isEdgeCacheAvailable(origin)) return;
+    rows.forEach(row => {
+        if (!row.site_id || isDataStale(row.release_date, row.updated_at)) return;
+        const expiresAt = new Date(row.updated_at).getTime() + ttlFor(new Date(row.release_date).getTime());
+        const ttlSeconds = Math.floor(Math.min(expiresAt - Date.now(), EDGE_CACHE_MAX_TTL) / 1000);
+        if (ttlSeconds <= 0) return;
+
+        const response = new Response(JSON.stringify(row), {
+            headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${ttlSeconds}` }
+        });
+        ctx.waitUntil(
+            caches.default.put(edgeCacheKey(origin, row.site_id), response)
+                .catch(e => console.error('[Edge Cache Error] Write failed:', e))
+        );
+    });
+}
+
+// Local data center only - other locations catch up within EDGE_CACHE_MAX_TTL
+function purgeEdgeCache(origin, siteIds, ctx) {
+    if (!isEdgeCacheAvailable(origin)) return;
+    siteIds.forEach(siteId => {
+        ctx.waitUntil(
+            caches.default.delete(edgeCacheKey(origin, siteId))
+                .catch(e => console.error('[Edge Cache Error] Purge failed:', e))
+        );
+    });
+}
+
+// ============================================
+// LOOKUP STATS
+// ============================================
+
+/**
+ * Per-day counts by result source, plus the failure log for GET /admin/failures
+ */
+async function recordLookupStats(env, day, movies, results, cronRefreshes = 0) {
+    const counts = new Map();
+    const bump = (key, n = 1) => counts.set(key, (counts.get(key) || 0) + n);
+    results.forEach(result => bump(result.error && result.source !== 'miss-cache' ? 'error' : result.source));
+    if (cronRefreshes > 0) bump('cron-refresh', cronRefreshes);
+
+    const now = new Date().toISOString();
+    const statements = [...counts].map(([source, count]) => env.DB.prepare(`
+        INSERT INTO lookup_stats (day, source, count) VALUES (?, ?, ?)
+        ON CONFLICT(day, source) DO UPDATE SET count = count + excluded.count
+    `).bind(day, source, count));
+
+    results.forEach((result, i) => {
+        const movie = movies[i];
+        if (!movie?.siteId || result.source === 'miss-cache') return;
+        if (result.error && !TRANSIENT_ERRORS.has(result.error)) {
+            const attempts = (movie.miss?.attempts || 0) + 1;
+            const retryAfter = NOT_FOUND_ERRORS.has(result.error) ? missRetryAfter(attempts) : null;
+            statements.push(env.DB.prepare(`
+                INSERT INTO lookup_misses (site_id, title, year, entity_type, error, attempts, retry_after, first_seen, last_seen)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(site_id) DO UPDATE SET
+                    title = excluded.title,
+                    year = excluded.year,
+                    entity_type = excluded.entity_type,
+                    error = excluded.error,
+                    attempts = excluded.attempts,
+                    retry_after = excluded.retry_after,
+                    last_seen = excluded.last_seen
+            `).bind(
+                movie.siteId, movie.title || null, parseInt(movie.year) || null, movie.entityType || null,
+                result.error, attempts, retryAfter, now, now
+            ));
+        } else if (PERSISTED_SOURCES.has(result.source)) {
+            statements.push(env.DB.prepare('DELETE FROM lookup_misses WHERE site_id = ?').bind(movie.siteId));
+        }
+    });
+
+    if (statements.length === 0) return;
+    try {
+        await env.DB.batch(statements);
+    } catch (e) {
+        console.error('[Stats Error] Failed to record lookup stats:', e);
+    }
+}
+
+async function loadMisses(env, siteIds) {
+    const misses = new Map();
+    try {
+        const placeholders = siteIds.map(() => '?').join(',');
+        const { results } = await env.DB.prepare(`
+            SELECT site_id, error, attempts, retry_after FROM lookup_misses WHERE site_id IN (${placeholders})
+        `).bind(...siteIds).all();
+        results.forEach(row => misses.set(row.site_id, row));
+    } catch (e) {
+        console.error('[Miss Cache Error] Failed to read misses:', e);
+    }
+    return misses;
+}
+
+function isMissFresh(miss) {
+    return Boolean(miss.retry_after) && new Date(miss.retry_after).getTime() > Date.now();
+}
+
+/**
+ * Exponential backoff: attempt 1 waits 1 hour, each further miss doubles it
+ */
+function missRetryAfter(attempts) {
+    const delay = Math.min(MISS_BACKOFF_BASE * 2 ** (attempts - 1), MISS_BACKOFF_MAX);
+    return new Date(Date.now() + delay).toISOString();
+}
+
+// ============================================
+// ADMIN API
+// ============================================
+
+/**
+ * Operator routes, all behind "Authorization: Bearer <ADMIN_TOKEN>":
+ *   GET    /admin/stats?days=7       - cache hit/miss/refresh counts and OMDb calls per day
+ *   GET    /admin/failures?limit=50  - recent failed lookups with their titles
+ *   GET    /admin/movies?...         - rows by site_id, href (+ site) or imdb_id
+ *   PATCH  /admin/movies?...         - edit one row (JSON body of ADMIN_EDITABLE_FIELDS)
+ *   DELETE /admin/movies?...         - delete rows; the next lookup re-resolves them
+ */
+async function handleAdmin(request, url, env, ctx) {
+    // Without a configured token the admin API doesn't exist
+    if (!env.ADMIN_TOKEN) return jsonResponse({ error: 'Not found' }, 404);
+    if (!(await isAdminAuthorized(request, env))) return jsonResponse({ error: 'Unauthorized' }, 401);
+
+    const route = url.pathname.slice(url.pathname.indexOf('/admin/') + '/admin/'.length);
+
+    try {
+        if (route === 'stats' && request.method === 'GET') return await handleAdminStats(url, env);
+        if (route === 'failures' && request.method === 'GET') return await handleAdminFailures(url, env);
+        if (route === 'movies') {
+            if (request.method === 'GET') return await handleAdminGetMovies(url, env);
+            if (request.method === 'PATCH') return await handleAdminEditMovie(request, url, env, ctx);
+            if (request.method === 'DELETE') return await handleAdminDeleteMovies(url, env, ctx);
+            return jsonResponse({ error: 'Method not allowed' }, 405);
+        }
+    } catch (error) {
+        console.error('Admin error:', error);
+        return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+    }
+
+    return jsonResponse({ error: 'Not found' }, 404);
+}
+
+async function isAdminAuthorized(request, env) {
+    const header = request.headers.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+
+    const encoder = new TextEncoder();
+    const given = encoder.encode(token);
+    const expected = encoder.encode(env.ADMIN_TOKEN);
+    if (given.byteLength !== expected.byteLength) return false;
+    return crypto.subtle.timingSafeEqual(given, expected);
+}
+
+async function handleAdminStats(url, env) {
+    const days = Math.min(Math.max(parseInt(url.searchParams.get('days')) || 7, 1), 90);
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const [stats, usage] = await env.DB.batch([
+        env.DB.prepare('SELECT day, source, count FROM lookup_stats WHERE day >= ? ORDER BY day DESC').bind(since),
+        env.DB.prepare('SELECT day, calls FROM omdb_usage WHERE day >= ? ORDER BY day DESC').bind(since)
+    ]);
+
+    const byDay = new Map();
+    const dayEntry = (day) => {
+        if (!byDay.has(day)) {
+            byDay.set(day, { day, hits: 0, misses: 0, refreshes: 0, stale: 0, missCache: 0, errors: 0, omdbCalls: 0, sources: {} });
+        }
+        return byDay.get(day);
+    };
+
+    stats.results.forEach(({ day, source, count }) => {
+        const entry = dayEntry(day);
+        entry.sources[source] = count;
+        if (source === 'cache') entry.hits += count;
+        else if (source === 'cache-stale') entry.stale += count;
+        else if (source === 'miss-cache') entry.missCache += count;
+        else if (source === 'api' || source === 'dataset') entry.misses += count;
+        else if (source === 'error') entry.errors += count;
+        else if (source.endsWith('refresh')) entry.refreshes += count;
+    });
+    usage.results.forEach(({ day, calls }) => {
+        dayEntry(day).omdbCalls = calls;
+    });
+
+    const quota = await loadQuota(env);
+    return jsonResponse({
+        days: [...byDay.values()].sort((a, b) => b.day.localeCompare(a.day)),
+        quota: quotaStatus(quota)
+    });
+}
+
+async function handleAdminFailures(url, env) {
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 50, 1), 500);
+    const { results } = await env.DB.prepare(`
+        SELECT site_id, title, year, entity_type, error, attempts, retry_after, first_seen, last_seen
+        FROM lookup_misses
+        ORDER BY last_seen DESC
+        LIMIT ?
+    `).bind(limit).all();
+    return jsonResponse({ failures: results });
+}
+
+/**
+ * WHERE clause from ?site_id=, ?href= (with optional ?site=, default prime) or ?imdb_id=
+ */
+function adminMovieFilter(url) {
+    const params = url.searchParams;
+    const siteId = params.get('site_id') ||
+        (params.get('href') ? siteIdFor({ href: params.get('href'), site: params.get('site') || undefined }) : null);
+    if (siteId) return { where: 'site_id = ?', value: siteId, single: true };
+
+    const imdbId = params.get('imdb_id');
+    if (imdbId && /^tt\d+$/.test(imdbId)) return { where: 'imdb_id = ?', value: imdbId, single: false };
+    return null;
+}
+
+async function handleAdminGetMovies(url, env) {
+    const filter = adminMovieFilter(url);
+    if (!filter) return jsonResponse({ error: 'Provide site_id, href or imdb_id' }, 400);
+
+    const { results } = await env.DB.prepare(`SELECT * FROM movies WHERE ${filter.where}`).bind(filter.value).all();
+    return jsonResponse({ movies: results });
+}
+
+/**
+ * Changing imdb_id pins the row (unless pinned is given) and marks it stale,
+ * so the next lookup or cron run refreshes the rest by ID
+ */
+async function handleAdminEditMovie(request, url, env, ctx) {
+    const filter = adminMovieFilter(url);
+    if (!filter || !filter.single) return jsonResponse({ error: 'Provide site_id or href' }, 400);
+
+    const body = await request.json();
+    const changes = {};
+    ADMIN_EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) changes[field] = body[field];
+    });
+    if (Object.keys(changes).length === 0) return jsonResponse({ error: 'No editable fields in body' }, 400);
+    if (changes.imdb_id !== undefined && !/^tt\d+$/.test(changes.imdb_id)) {
+        return jsonResponse({ error: 'Invalid imdb_id' }, 400);
+    }
+
+    let updatedAt = new Date().toISOString();
+    if (changes.imdb_id) {
+        if (changes.pinned === undefined) changes.pinned = 1;
+        updatedAt = new Date(0).toISOString();
+    }
+    if (changes.pinned !== undefined) changes.pinned = changes.pinned ? 1 : 0;
+
+    const columns = Object.keys(changes);
+    const result = await env.DB.prepare(`
+        UPDATE movies SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ?
+        WHERE ${filter.where}
+    `).bind(...columns.map(c => changes[c]), updatedAt, filter.value).run();
+
+    if (!result.meta.changes) return jsonResponse({ error: 'Row not found' }, 404);
+    purgeEdgeCache(url.origin, [filter.value], ctx);
+    const row = await env.DB.prepare(`SELECT * FROM movies WHERE ${filter.where}`).bind(filter.value).first();
+    return jsonResponse({ movie: row });
+}
+
+async function handleAdminDeleteMovies(url, env, ctx) {
+    const filter = adminMovieFilter(url);
+    if (!filter) return jsonResponse({ error: 'Provide site_id, href or imdb_id' }, 400);
+
+    const { results } = await env.DB.prepare(`DELETE FROM movies WHERE ${filter.where} RETURNING site_id`).bind(filter.value).all();
+    purgeEdgeCache(url.origin, results.map(row => row.site_id), ctx);
+    return jsonResponse({ deleted: results.length });
+}
+
+// ============================================
+// SCHEDULED REFRESH
+// ============================================
+
+/**
+ * Cron handler body: refresh rows isDataStale would flag before a viewer has to wait on them.
+ * Recent releases (1 hour / 1 day tiers) go first; rows sharing an imdb_id are refreshed once.
+ */
+async function refreshStaleRows(env) {
+    const quota = await loadQuota(env);
+    const floor = Math.ceil(quota.budget * REFRESH_QUOTA_FLOOR);
+    const callBudget = Math.min(
+        parseInt(env.REFRESH_CALL_BUDGET) || DEFAULT_REFRESH_BUDGET,
+        Math.max(0, quotaRemaining(quota) - floor)
+    );
+
+    const candidates = await findStaleRows(env);
+    if (candidates.length === 0) return;
+
+    const statements = [];
+    let refreshed = 0;
+    for (const row of candidates) {
+        const omdb = quota.calls < callBudget;
+        // Without OMDb calls left only dataset refreshes remain possible
+        if (!omdb && datasetAvailable === false) break;
+
+        const result = await refreshCachedRow(row, env, quota, omdb);
+        if (!PERSISTED_SOURCES.has(result.source)) continue;
+
+        const data = result.data;
+        statements.push(env.DB.prepare(`
+            UPDATE movies
+            SET year = ?, release_date = ?, rating = ?, rt_rating = ?, metacritic = ?, votes = ?, genre = ?, updated_at = ?
+            WHERE imdb_id = ?
+        `).bind(
+            data.year, data.release_date, data.rating, data.rt_rating, data.metacritic ?? null,
+            data.votes, data.genre || null, data.updated_at, row.imdb_id
+        ));
+        refreshed++;
+    }
+
+    if (statements.length > 0) {
+        try {
+            await env.DB.batch(statements);
+        } catch (e) {
+            console.error('[Scheduled Refresh Error] D1 update failed:', e);
+        }
+    }
+    await saveQuota(env, quota);
+    await recordLookupStats(env, quota.day, [], [], refreshed);
+    console.log(`[Scheduled Refresh] ${refreshed}/${candidates.length} stale titles refreshed, ${quota.calls} OMDb calls`);
+}
+
+/**
+ * Stale rows in priority order, one per imdb_id. Both queries walk idx_updated_at.
+ */
+async function findStaleRows(env) {
+    const now = Date.now();
+    const before = (ms) => new Date(now - ms).toISOString();
+    const DAY = 24 * 60 * 60 * 1000;
+
+    try {
+        const [recent, stable] = await env.DB.batch([
+            env.DB.prepare(`
+                SELECT * FROM movies
+                WHERE updated_at < ? AND release_date >= ?
+                ORDER BY updated_at ASC
+                LIMIT ?
+            `).bind(before(TTL.RECENT), before(14 * DAY), REFRESH_SCAN_LIMIT),
+            env.DB.prepare(`
+                SELECT * FROM movies
+                WHERE updated_at < ?
+                ORDER BY updated_at ASC
+                LIMIT ?
+            `).bind(before(TTL.STABLE), REFRESH_SCAN_LIMIT)
+        ]);
+
+        // Newest releases sit in the shortest TTL tier
+        const recentRows = recent.results.sort((a, b) => b.release_date.localeCompare(a.release_date));
+
+        const seen = new Set();
+        return [...recentRows, ...stable.results].filter(row => {
+            if (!row.imdb_id || seen.has(row.imdb_id)) return false;
+            if (!isDataStale(row.release_date, row.updated_at)) return false;
+            seen.add(row.imdb_id);
+            return true;
+        });
+    } catch (e) {
+        console.error('[Scheduled Refresh Error] D1 scan failed:', e);
+        return [];
+    }
+}
+
+// ============================================
+// IMDb DATASETS
+// ============================================
+
+// Dataset tables are optional until scripts/import-imdb-datasets.mjs has run; remembered per isolate
+let datasetAvailable = null;
+
+/**
+ * Single dataset query - a missing table just means "not imported"
+ */
+async function queryDataset(env, sql, params) {
+    if (datasetAvailable === false) return null;
+    try {
+        const row = await env.DB.prepare(sql).bind(...params).first();
+        datasetAvailable = true;
+        return row;
+    } catch (e) {
+        if (/no such table/i.test(e.message)) {
+            datasetAvailable = false;
+        } else {
+            console.error('[Dataset Error]', e);
+        }
+        return null;
+    }
+}
+
+// Download time of the imported files (imdb_dataset_meta), re-read every few minutes per isolate
+const DATASET_META_TTL = 10 * 60 * 1000;
+let datasetMeta = null;     // { importedAt, checkedAt } - ms timestamps, importedAt null if unknown
+
+async function datasetImportedAt(env) {
+    if (datasetMeta && Date.now() - datasetMeta.checkedAt < DATASET_META_TTL) return datasetMeta.importedAt;
+
+    let importedAt = null;
+    try {
+        const row = await env.DB.prepare('SELECT imported_at FROM imdb_dataset_meta WHERE id = ?').bind(1).first();
+        importedAt = row ? new Date(row.imported_at).getTime() || null : null;
+    } catch (e) {
+        // Imported before import times were recorded: ratings of unknown age
+        if (!/no such table/i.test(e.message)) console.error('[Dataset Error]', e);
+    }
+    datasetMeta = { importedAt, checkedAt: Date.now() };
+    return importedAt;
+}
+
+async function hasDataset(env) {
+    datasetAvailable = null;
+    const row = await queryDataset(env, 'SELECT tconst FROM imdb_title_ratings LIMIT ?', [1]);
+    return Boolean(row);
+}
+
+/**
+ * Best dataset match for a title: same normalized title and type family, year +/- 1, most votes wins
+ */
+async function findDatasetTitle(title, year, entityType, env) {
+    const titleNorm = normalizeTitle(title);
+    if (!titleNorm) return null;
+
+    const types = DATASET_TYPES[entityType] || ALL_DATASET_TYPES;
+    const params = [titleNorm, ...types];
+    let yearClause = '';
+    if (year) {
+        yearClause = 'AND b.start_year BETWEEN ? AND ?';
+        params.push(year - 1, year + 1);
+    }
+
+    return queryDataset(env, `
+        SELECT b.tconst, b.primary_title, b.title_type, b.start_year, b.genres, r.average_rating, r.num_votes
+        FROM imdb_title_basics b
+        JOIN imdb_title_ratings r ON r.tconst = b.tconst
+        WHERE b.title_norm = ? AND b.title_type IN (${types.map(() => '?').join(', ')}) ${yearClause}
+        ORDER BY r.num_votes DESC
+        LIMIT 1
+    `, params);
+}
+
+async function findDatasetById(imdbId, env) {
+    return queryDataset(env, `
+        SELECT b.tconst, b.primary_title, b.title_type, b.start_year, b.genres, r.average_rating, r.num_votes
+        FROM imdb_title_basics b
+        JOIN imdb_title_ratings r ON r.tconst = b.tconst
+        WHERE b.tconst = ?
+    `, [imdbId]);
+}
+
+/**
+ * Dataset row as a movies row. The dataset has no release date, RT or Metacritic -
+ * January 1st of the start year keeps isDataStale's tiers working. updated_at is when the
+ * dataset was downloaded (epoch if unknown), so dataset ratings age like OMDb ones.
+ */
+function datasetToMovieData(row, title, siteId, importedAt) {
+    return {
+        imdb_id: row.tconst,
+        title,
+        year: row.start_year || 0,
+        release_date: row.start_year ? `${row.start_year}-01-01T00:00:00.000Z` : parseReleaseDate(null),
+        site_id: siteId,
+        rating: row.average_rating || 0,
+        rt_rating: null,
+        metacritic: null,
+        votes: row.num_votes || 0,
+        genre: formatDatasetGenres(row.genres),
+        confidence: null,
+        updated_at: new Date(importedAt || 0).toISOString()
+    };
+}
+
+/**
+ * Dataset row in OMDb's shape for scoreCandidate
+ */
+function datasetCandidate(row) {
+    return {
+        Title: row.primary_title,
+        Year: row.start_year,
+        Type: row.title_type === 'tvSeries' || row.title_type === 'tvMiniSeries' ? 'series' : 'movie',
+        imdbVotes: row.num_votes
+    };
+}
+
+/**
+ * One ID lookup for what the dataset lacks; IMDb rating and votes stay from the dataset (fresher than OMDb's)
+ */
+async function enrichFromOMDb(movieData, quota) {
+    if (!quota.apiKey || isQuotaLow(quota)) return;
+    try {
+        const omdbResult = await fetchOMDbById(movieData.imdb_id, quota);
+        if (!omdbResult) return;
+        movieData.rt_rating = extractRottenTomatoes(omdbResult.Ratings);
+        movieData.metacritic = extractMetacritic(omdbResult);
+        if (omdbResult.Released && omdbResult.Released !== 'N/A') {
+            movieData.release_date = parseReleaseDate(omdbResult.Released);
+        }
+    } catch (e) {
+        console.error(`[Dataset Enrich Error] ${movieData.imdb_id}:`, e);
+    }
+}
+
+/**
+ * "Action,Crime,Drama" -> "Action, Crime, Drama" (OMDb's format, which the filter rules split on)
+ */
+function formatDatasetGenres(genres) {
+    if (!genres) return null;
+    return genres.split(',').join(', ');
+}
+
+/**
+ * Matching key for imported titles - must stay in sync with normalizeTitle in scripts/import-imdb-datasets.mjs
+ */
+function normalizeTitle(title) {
+    return title
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9 ]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// ============================================
+// OMDb QUOTA
+// ============================================
 
-    return detailData.Response === 'True' ? detailData : null;
+/**
+ * Today's usage (UTC day) plus a counter for calls made while handling this request
+ */
+async function loadQuota(env) {
+    const day = new Date().toISOString().slice(0, 10);
+    const budget = parseInt(env.OMDB_DAILY_BUDGET) || DEFAULT_DAILY_BUDGET;
+    let used = 0;
+    try {
+        const row = await env.DB.prepare('SELECT calls FROM omdb_usage WHERE day = ?').bind(day).first();
+        used = row?.calls || 0;
+    } catch (e) {
+        console.error('[Quota Error] Failed to read usage:', e);
+    }
+    return { day, budget, used, calls: 0, limitReached: false, apiKey: env.OMDB_API_KEY };
+}
+
+async function saveQuota(env, quota) {
+    if (quota.calls === 0 && !quota.limitReached) return;
+    try {
+        const statements = [
+            env.DB.prepare(`
+                INSERT INTO omdb_usage (day, calls) VALUES (?, ?)
+                ON CONFLICT(day) DO UPDATE SET calls = calls + excluded.calls
+            `).bind(quota.day, quota.calls)
+        ];
+        if (quota.limitReached) {
+            statements.push(env.DB.prepare('UPDATE omdb_usage SET calls = MAX(calls, ?) WHERE day = ?').bind(quota.budget, quota.day));
+        }
+        await env.DB.batch(statements);
+    } catch (e) {
+        console.error('[Quota Error] Failed to record usage:', e);
+    }
+}
+
+function quotaRemaining(quota) {
+    if (quota.limitReached) return 0;
+    return quota.budget - quota.used - quota.calls;
+}
+
+function isQuotaExhausted(quota) {
+    return quotaRemaining(quota) <= 0;
+}
+
+function isQuotaLow(quota) {
+    return quotaRemaining(quota) <= quota.budget * QUOTA_LOW_RATIO;
+}
+
+/**
+ * Client-facing summary - the extension shows "lookups paused until reset" from this
+ */
+function quotaStatus(quota) {
+    const resetsAt = new Date(`${quota.day}T00:00:00Z`);
+    resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+
+    let state = 'ok';
+    if (isQuotaExhausted(quota)) state = 'exhausted';
+    else if (isQuotaLow(quota)) state = 'low';
+
+    return {
+        state,
+        used: Math.min(quota.used + quota.calls, quota.budget),
+        budget: quota.budget,
+        resetsAt: resetsAt.toISOString()
+    };
 }
 
 function parseReleaseDate(dateStr) {
@@ -372,3 +1508,28 @@ function extractRottenTomatoes(ratings) {
     }
     return null;
 }
+
+/**
+ * Metascore as an integer (0-100) - prefers the Metascore field, falls back to the Ratings array
+ */
+function extractMetacritic(omdbResult) {
+    const metascore = parseInt(omdbResult.Metascore);
+    if (!isNaN(metascore)) return metascore;
+
+    const ratings = omdbResult.Ratings;
+    if (!ratings || !Array.isArray(ratings)) return null;
+    const mc = ratings.find(r => r.Source === 'Metacritic');
+    if (mc && mc.Value) {
+        const value = parseInt(mc.Value); // "74/100"
+        return isNaN(value) ? null : value;
+    }
+    return null;
+}
+
+/**
+ * OMDb Genre as stored ("Action, Crime, Drama") or null
+ */
+function extractGenre(omdbResult) {
+    const genre = omdbResult.Genre;
+    return genre && genre !== 'N/A' ? genre : null;
+}
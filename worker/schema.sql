@@ -1,21 +1,24 @@
-DROP TABLE IF EXISTS movies;
-
-CREATE TABLE movies (
-  prime_href TEXT PRIMARY KEY,
+-- Safe to re-run: nothing here drops data. Databases from before site ids run upgrade.sql first (see README).
+CREATE TABLE IF NOT EXISTS movies (
+  site_id TEXT PRIMARY KEY, -- "<site>:<href>", e.g. "prime:/detail/B0ABC", "netflix:/title/80100172"
   imdb_id TEXT NOT NULL,
   title TEXT NOT NULL,
   year INTEGER NOT NULL,
   release_date TEXT NOT NULL,
   rating REAL,
   rt_rating TEXT,
+  metacritic INTEGER,
   votes INTEGER,
+  genre TEXT, -- OMDb Genre, comma-separated
+  confidence REAL, -- 0-1 match score; 1 = verified or user override, NULL = matched before scoring
+  pinned INTEGER NOT NULL DEFAULT 0, -- 1 = user override, never re-resolved by title search
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE INDEX idx_imdb_id ON movies(imdb_id);
-CREATE INDEX idx_title_year ON movies(title, year);
-CREATE INDEX idx_updated_at ON movies(updated_at);
+CREATE INDEX IF NOT EXISTS idx_imdb_id ON movies(imdb_id);
+CREATE INDEX IF NOT EXISTS idx_title_year ON movies(title, year);
+CREATE INDEX IF NOT EXISTS idx_updated_at ON movies(updated_at);
 
 -- Episode ratings cache
 CREATE TABLE IF NOT EXISTS episode_ratings (
@@ -30,4 +33,61 @@ CREATE TABLE IF NOT EXISTS episode_ratings (
     PRIMARY KEY (series_imdb_id, season, episode)
 );
 
-CREATE INDEX idx_episode_series_season ON episode_ratings(series_imdb_id, season);
+CREATE INDEX IF NOT EXISTS idx_episode_series_season ON episode_ratings(series_imdb_id, season);
+
+-- OMDb calls per UTC day (quota tracking)
+CREATE TABLE IF NOT EXISTS omdb_usage (
+    day TEXT PRIMARY KEY,          -- YYYY-MM-DD
+    calls INTEGER NOT NULL DEFAULT 0
+);
+
+-- IMDb non-commercial datasets (https://datasets.imdbws.com), loaded by scripts/import-imdb-datasets.mjs
+CREATE TABLE IF NOT EXISTS imdb_title_basics (
+    tconst TEXT PRIMARY KEY,       -- IMDb ID, e.g. tt0111161
+    title_type TEXT NOT NULL,      -- movie, tvMovie, tvSeries, tvMiniSeries
+    primary_title TEXT NOT NULL,
+    title_norm TEXT NOT NULL,      -- normalizeTitle(primary_title), the lookup key
+    start_year INTEGER,
+    genres TEXT                    -- comma-separated, no spaces
+);
+
+CREATE INDEX IF NOT EXISTS idx_basics_title_year ON imdb_title_basics(title_norm, start_year);
+
+CREATE TABLE IF NOT EXISTS imdb_title_ratings (
+    tconst TEXT PRIMARY KEY,
+    average_rating REAL NOT NULL,
+    num_votes INTEGER NOT NULL
+);
+
+-- When the imported files were downloaded; dataset ratings count as fresh from then, not from import
+CREATE TABLE IF NOT EXISTS imdb_dataset_meta (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    imported_at TEXT NOT NULL      -- ISO timestamp
+);
+
+-- Lookup results per UTC day and source (cache, api, api-refresh, cache-stale, dataset, error, ...) for GET /admin/stats
+CREATE TABLE IF NOT EXISTS lookup_stats (
+    day TEXT NOT NULL,             -- YYYY-MM-DD
+    source TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, source)
+);
+
+-- Titles that failed to resolve, for GET /admin/failures; cleared when the href later resolves.
+-- Also the negative cache: "not found" rows answer as no-data until retry_after (exponential backoff).
+CREATE TABLE IF NOT EXISTS lookup_misses (
+    site_id TEXT PRIMARY KEY,
+    title TEXT,
+    year INTEGER,
+    entity_type TEXT,
+    error TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    retry_after TEXT,              -- NULL = not negatively cached (error unrelated to the title)
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_misses_last_seen ON lookup_misses(last_seen);
+
+-- lookup_misses created before the negative cache needs:
+-- ALTER TABLE lookup_misses ADD COLUMN retry_after TEXT;
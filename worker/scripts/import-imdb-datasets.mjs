@@ -0,0 +1,159 @@
+/**
+ * IMDb Dataset Import - turns title.basics.tsv + title.ratings.tsv into SQL files for D1
+ *
+ * Usage:
+ *   node scripts/import-imdb-datasets.mjs --basics title.basics.tsv.gz --ratings title.ratings.tsv.gz [--out imdb-import] [--min-votes 50]
+ *   for f in imdb-import/*.sql; do npx wrangler d1 execute showrating-db --remote --file="$f"; done
+ *
+ * Files come from https://datasets.imdbws.com (non-commercial use only); .tsv and .tsv.gz both work.
+ * Use --local instead of --remote to load wrangler's local D1 for `wrangler dev`.
+ */
+
+import { createReadStream, mkdirSync, statSync, writeFileSync } from 'node:fs';
+import { createGunzip } from 'node:zlib';
+import { createInterface } from 'node:readline';
+import { join } from 'node:path';
+
+// Title types the worker can match (see DATASET_TYPES in index.js)
+const TITLE_TYPES = new Set(['movie', 'tvMovie', 'tvSeries', 'tvMiniSeries']);
+
+const ROWS_PER_STATEMENT = 200;     // D1 caps a single statement at 100 KB
+const STATEMENTS_PER_FILE = 100;
+
+function parseArgs(argv) {
+    const args = { out: 'imdb-import', minVotes: 50 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--basics': args.basics = value; break;
+            case '--ratings': args.ratings = value; break;
+            case '--out': args.out = value; break;
+            case '--min-votes': args.minVotes = parseInt(value) || 0; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    if (!args.basics || !args.ratings) {
+        throw new Error('Both --basics and --ratings are required');
+    }
+    return args;
+}
+
+/**
+ * TSV rows as arrays; IMDb's "\N" becomes null. The header line is skipped.
+ */
+async function* readTsv(path) {
+    let stream = createReadStream(path);
+    if (path.endsWith('.gz')) stream = stream.pipe(createGunzip());
+
+    let header = true;
+    for await (const line of createInterface({ input: stream, crlfDelay: Infinity })) {
+        if (header) {
+            header = false;
+            continue;
+        }
+        if (!line) continue;
+        yield line.split('\t').map(field => (field === '\\N' ? null : field));
+    }
+}
+
+/**
+ * Matching key - must stay in sync with normalizeTitle in index.js
+ */
+function normalizeTitle(title) {
+    return title
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9 ]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function sqlValue(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number') return String(value);
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function insertStatement(table, columns, rows) {
+    const values = rows.map(row => `(${row.map(sqlValue).join(', ')})`).join(',\n');
+    return `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES\n${values};`;
+}
+
+async function loadRatings(path, minVotes) {
+    const ratings = new Map();
+    for await (const [tconst, averageRating, numVotes] of readTsv(path)) {
+        const votes = parseInt(numVotes) || 0;
+        if (votes < minVotes) continue;
+        ratings.set(tconst, [parseFloat(averageRating), votes]);
+    }
+    return ratings;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    mkdirSync(args.out, { recursive: true });
+
+    console.log(`Reading ratings (min ${args.minVotes} votes)...`);
+    const ratings = await loadRatings(args.ratings, args.minVotes);
+    console.log(`${ratings.size} rated titles`);
+
+    let basicsRows = [];
+    let ratingsRows = [];
+    let statements = [];
+    let fileCount = 0;
+    let titleCount = 0;
+
+    const flushStatement = () => {
+        if (basicsRows.length === 0) return;
+        statements.push(insertStatement('imdb_title_basics',
+            ['tconst', 'title_type', 'primary_title', 'title_norm', 'start_year', 'genres'], basicsRows));
+        statements.push(insertStatement('imdb_title_ratings',
+            ['tconst', 'average_rating', 'num_votes'], ratingsRows));
+        basicsRows = [];
+        ratingsRows = [];
+    };
+
+    const flushFile = () => {
+        flushStatement();
+        if (statements.length === 0) return;
+        fileCount++;
+        const name = join(args.out, `imdb-${String(fileCount).padStart(4, '0')}.sql`);
+        writeFileSync(name, statements.join('\n\n') + '\n');
+        statements = [];
+    };
+
+    console.log('Reading basics...');
+    // tconst, titleType, primaryTitle, originalTitle, isAdult, startYear, endYear, runtimeMinutes, genres
+    for await (const [tconst, titleType, primaryTitle, , isAdult, startYear, , , genres] of readTsv(args.basics)) {
+        if (!TITLE_TYPES.has(titleType) || isAdult === '1' || !primaryTitle) continue;
+        const rating = ratings.get(tconst);
+        if (!rating) continue;
+
+        const titleNorm = normalizeTitle(primaryTitle);
+        if (!titleNorm) continue;
+
+        basicsRows.push([tconst, titleType, primaryTitle, titleNorm, parseInt(startYear) || null, genres]);
+        ratingsRows.push([tconst, ...rating]);
+        titleCount++;
+
+        if (basicsRows.length >= ROWS_PER_STATEMENT) flushStatement();
+        if (statements.length >= STATEMENTS_PER_FILE * 2) flushFile();
+    }
+
+    // The ratings file's download time is how old these ratings are (see refreshFromDataset in index.js)
+    const importedAt = statSync(args.ratings).mtime.toISOString();
+    flushStatement();
+    // Databases created before schema.sql had this table get it here
+    statements.push('CREATE TABLE IF NOT EXISTS imdb_dataset_meta (id INTEGER PRIMARY KEY CHECK (id = 1), imported_at TEXT NOT NULL);');
+    statements.push(insertStatement('imdb_dataset_meta', ['id', 'imported_at'], [[1, importedAt]]));
+    flushFile();
+
+    console.log(`${titleCount} titles written to ${fileCount} file(s) in ${args.out}/`);
+}
+
+main().catch((e) => {
+    console.error(`[Import Error] ${e.message}`);
+    process.exit(1);
+});
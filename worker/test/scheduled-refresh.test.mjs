@@ -0,0 +1,104 @@
+/**
+ * Scheduled refresh - stale rows must get current ratings, not re-stamped dataset ones
+ *
+ * Run from worker/: npm test (Node 18+)
+ * D1 and OMDb are faked in memory; nothing leaves the machine.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../index.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+// The dataset was downloaded more recently than any of the rows below were refreshed
+const IMPORTED_AT = ago(HOUR / 2);
+
+let omdbCalls;
+let updates;
+
+/**
+ * Minimal D1: answers the queries refreshStaleRows makes and records UPDATE movies statements
+ */
+function fakeDB(staleRows) {
+    const answer = (sql, params) => {
+        if (sql.includes('FROM omdb_usage')) return { calls: 0 };
+        if (sql.includes('FROM imdb_dataset_meta')) return { imported_at: IMPORTED_AT };
+        if (sql.includes('FROM imdb_title_basics')) {
+            return { tconst: params[0], primary_title: 'Dataset Title', title_type: 'movie', start_year: 2015, genres: 'Drama', average_rating: 6.1, num_votes: 500 };
+        }
+        if (sql.includes('FROM movies') && sql.includes('release_date >=')) return staleRows.filter(row => row.release_date >= params[1]);
+        if (sql.includes('FROM movies')) return staleRows.filter(row => row.updated_at < params[0]);
+        if (sql.includes('UPDATE movies')) updates.push(params);
+        return null;
+    };
+
+    const prepare = (sql) => {
+        const statement = {
+            params: [],
+            bind: (...params) => {
+                statement.params = params;
+                return statement;
+            },
+            first: async () => answer(sql, statement.params),
+            all: async () => ({ results: answer(sql, statement.params) || [] }),
+            run: async () => ({ success: true })
+        };
+        return statement;
+    };
+
+    return { prepare, batch: (statements) => Promise.all(statements.map(s => s.all())) };
+}
+
+async function runCron(staleRows) {
+    const env = { DB: fakeDB(staleRows), OMDB_API_KEY: 'test-key', OMDB_DAILY_BUDGET: '1000' };
+    let pending;
+    await worker.scheduled({}, env, { waitUntil: (promise) => { pending = promise; } });
+    await pending;
+}
+
+beforeEach(() => {
+    omdbCalls = [];
+    updates = [];
+    globalThis.fetch = async (url) => {
+        omdbCalls.push(new URL(url).searchParams.get('i'));
+        return new Response(JSON.stringify({
+            Response: 'True', imdbID: 'tt0000001', Year: '2026', Released: '01 Jan 2026',
+            imdbRating: '7.9', imdbVotes: '1,234', Genre: 'Drama', Metascore: '71',
+            Ratings: [{ Source: 'Rotten Tomatoes', Value: '88%' }]
+        }));
+    };
+});
+
+test('a recent release goes to OMDb even when a newer dataset import exists', async () => {
+    await runCron([{
+        site_id: 'prime:/detail/NEW', imdb_id: 'tt0000001', title: 'New Release', year: 2026,
+        release_date: ago(3 * DAY), rating: 6.1, rt_rating: null, metacritic: null, votes: 500,
+        genre: 'Drama', pinned: 0, updated_at: ago(2 * HOUR)
+    }]);
+
+    assert.deepEqual(omdbCalls, ['tt0000001']);
+    assert.equal(updates.length, 1);
+    const [, , rating, rtRating, metacritic, votes, , updatedAt] = updates[0];
+    assert.equal(rating, 7.9);
+    assert.equal(rtRating, '88%');
+    assert.equal(metacritic, 71);
+    assert.equal(votes, 1234);
+    assert.ok(Date.now() - new Date(updatedAt).getTime() < HOUR, 'refreshed row is stamped with the OMDb fetch time');
+});
+
+test('a stable title refreshes from a newer dataset and keeps the import time', async () => {
+    await runCron([{
+        site_id: 'prime:/detail/OLD', imdb_id: 'tt0000002', title: 'Old Favourite', year: 2015,
+        release_date: '2015-06-01T00:00:00.000Z', rating: 6.0, rt_rating: '80%', metacritic: 65, votes: 400,
+        genre: 'Drama', pinned: 0, updated_at: ago(40 * DAY)
+    }]);
+
+    assert.deepEqual(omdbCalls, []);
+    assert.equal(updates.length, 1);
+    const [, , rating, , , , , updatedAt] = updates[0];
+    assert.equal(rating, 6.1);
+    assert.equal(updatedAt, new Date(IMPORTED_AT).toISOString());
+});
@@ -0,0 +1,11 @@
+-- One-time upgrade for a database created before site ids (movies keyed by prime_href).
+-- Keeps every cached row. Run once, then run schema.sql for the newer tables:
+--   npx wrangler d1 execute showrating-db --remote --file=./upgrade.sql
+--   npx wrangler d1 execute showrating-db --remote --file=./schema.sql
+
+ALTER TABLE movies RENAME COLUMN prime_href TO site_id;
+UPDATE movies SET site_id = 'prime:' || site_id WHERE site_id NOT LIKE '%:%';
+ALTER TABLE movies ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE movies ADD COLUMN metacritic INTEGER;
+ALTER TABLE movies ADD COLUMN genre TEXT;
+ALTER TABLE movies ADD COLUMN confidence REAL;